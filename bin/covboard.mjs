@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// bin/covboard.mjs
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import Papa from 'papaparse';
+import { cleanMetadata, INPUT_FORMATS } from '../src/prepare.js';
+import { getFieldLabel } from '../src/schema.js';
+import { PROBLEM_KINDS } from '../src/dataQuality.js';
+
+const DEFAULT_OUTPUT = 'public/df_cleaned.csv';
+
+const USAGE = `Usage: covboard prepare <metadata.tsv|.csv[.gz]> [-o ${DEFAULT_OUTPUT}]
+
+Cleans raw sample metadata (a GISAID metadata.tsv, Nextclade output or any
+table with lineage, country and date columns) into the CSV the dashboard
+loads, and prints a validation summary. Use -o - to write to stdout.`;
+
+const fail = (message) => {
+  console.error(`covboard: ${message}`);
+  process.exit(1);
+};
+
+const parseArgs = (args) => {
+  const options = { input: null, output: DEFAULT_OUTPUT };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-o' || arg === '--output') {
+      if (!args[i + 1]) fail(`${arg} needs a file name`);
+      options.output = args[++i];
+    } else if (arg === '-h' || arg === '--help') {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (arg.startsWith('-') && arg !== '-') {
+      fail(`unknown option ${arg}\n\n${USAGE}`);
+    } else if (options.input) {
+      fail(`only one input file can be prepared at a time\n\n${USAGE}`);
+    } else {
+      options.input = arg;
+    }
+  }
+  if (!options.input) fail(`no input file\n\n${USAGE}`);
+  return options;
+};
+
+// gzip is recognised by its magic bytes, like in the dashboard
+const readInput = (path) => {
+  let bytes;
+  try {
+    bytes = path === '-' ? readFileSync(0) : readFileSync(path);
+  } catch (error) {
+    fail(`can't read ${path} (${error.message})`);
+  }
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) bytes = gunzipSync(bytes);
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) fail(`${path} is a zip archive; extract the metadata file first`);
+  return bytes.toString('utf8');
+};
+
+const count = (value) => value.toLocaleString('en-US');
+
+const printSummary = (log, input, result) => {
+  const { rows, format, mapping, changes, validation, quality } = result;
+  log(`Read ${count(rows.length)} rows from ${input} (${INPUT_FORMATS[format]})`);
+
+  if (mapping) {
+    const renamed = Object.entries(mapping).filter(([key, column]) => column && column !== key);
+    if (renamed.length > 0) {
+      log(`Columns: ${renamed.map(([key, column]) => `${column} -> ${key}`).join(', ')}`);
+    }
+  }
+
+  const { dates } = changes;
+  log(`Dates: ${count(dates.day)} full, ${count(dates.month)} month only, ${count(dates.year)} year only, ` +
+    `${count(dates.missing)} missing${dates.unreadable > 0 ? ` (${count(dates.unreadable)} unreadable, dropped)` : ''}`);
+  log(`Sex values normalised: ${count(changes.sex)}`);
+  log(`Ages converted to years: ${count(changes.age)}${changes.ageDropped > 0 ? `, unreadable and dropped: ${count(changes.ageDropped)}` : ''}`);
+  log(`totalSubstitutions computed from substitutions: ${count(changes.totalSubstitutions)}`);
+
+  if (validation.ok) {
+    log('Schema: all fields present and valid');
+  } else {
+    log('Schema:');
+    if (validation.missing.length > 0 || validation.empty.length > 0) {
+      log(`  no values for ${[...validation.missing, ...validation.empty].map(getFieldLabel).join(', ')}`);
+    }
+    validation.mistyped.forEach(({ key, checked, invalid, examples }) => {
+      log(`  ${getFieldLabel(key)}: ${invalid} of ${checked} checked values invalid, e.g. ${examples.join(', ')}`);
+    });
+  }
+
+  log(`Rows with problems: ${count(quality.problems.length)}`);
+  Object.entries(PROBLEM_KINDS).forEach(([kind, label]) => {
+    if (quality.counts[kind] > 0) log(`  ${label}: ${count(quality.counts[kind])}`);
+  });
+};
+
+const prepare = (args) => {
+  const { input, output } = parseArgs(args);
+  const parsed = Papa.parse(readInput(input), { header: true, dynamicTyping: true, skipEmptyLines: true });
+  if (!parsed.meta.fields || parsed.meta.fields.length === 0) fail(`${input} has no header row`);
+  if (parsed.data.length === 0) fail(`${input} has no rows`);
+
+  const result = cleanMetadata(parsed.data, parsed.meta.fields);
+  const csv = Papa.unparse({
+    fields: result.fields,
+    data: result.rows.map(row => result.fields.map(column => (row[column] === undefined || row[column] === null ? '' : row[column])))
+  });
+
+  // The summary goes to stderr when the CSV goes to stdout
+  const log = output === '-' ? console.error : console.log;
+  printSummary(log, input, result);
+
+  if (output === '-') {
+    process.stdout.write(`${csv}\n`);
+    return;
+  }
+  try {
+    mkdirSync(dirname(output), { recursive: true });
+    writeFileSync(output, `${csv}\n`);
+  } catch (error) {
+    fail(`can't write ${output} (${error.message})`);
+  }
+  log(`Wrote ${count(result.rows.length)} rows to ${output}`);
+};
+
+const COMMANDS = { prepare };
+
+const [command, ...args] = process.argv.slice(2);
+if (!command || command === '-h' || command === '--help') {
+  console.log(USAGE);
+} else if (COMMANDS[command]) {
+  COMMANDS[command](args);
+} else {
+  fail(`unknown command ${command}\n\n${USAGE}`);
+}
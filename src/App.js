@@ -1,7 +1,7 @@
 // src/App.js
 import React from 'react';
 import './App.css';
-import CovBoard from './CovBoard';
+import CovBoard from './CovBoard.jsx';
 
 function App() {
   return (
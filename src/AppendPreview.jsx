@@ -0,0 +1,222 @@
+// src/AppendPreview.jsx
+import React, { useState, useMemo } from 'react';
+import {
+  CONFLICT_RULES,
+  getIdColumnOptions,
+  suggestIdColumn,
+  loadAppendSettings,
+  mergeBatch
+} from './append.js';
+
+// Rejected and partly applied rows listed in full; the rest are only counted
+const MAX_REJECTED_SHOWN = 20;
+
+// Summary of what appending a batch would do, shown before the dataset is
+// replaced so the ID column and conflict rule can still be changed. failures
+// are the batch files that could not be read.
+const AppendPreview = ({ sourceName, batchNames, rows, batchRows, failures = [], onApply, onCancel }) => {
+  const idOptions = useMemo(() => getIdColumnOptions(rows, batchRows), [rows, batchRows]);
+  const [idColumn, setIdColumn] = useState(() => suggestIdColumn(idOptions, loadAppendSettings().idColumn));
+  const [conflictRule, setConflictRule] = useState(() => loadAppendSettings().conflictRule || 'replace');
+
+  const result = useMemo(
+    () => (idColumn ? mergeBatch(rows, batchRows, { idColumn, conflictRule }) : null),
+    [rows, batchRows, idColumn, conflictRule]
+  );
+
+  const selectStyle = {
+    padding: '0.25rem',
+    borderRadius: '0.25rem',
+    border: '1px solid #cbd5e0',
+    marginLeft: '0.5rem'
+  };
+
+  const cellStyle = { padding: '0.5rem', border: '1px solid #e2e8f0', verticalAlign: 'top' };
+
+  const renderCount = (label, value, color) => (
+    <div style={{ backgroundColor: '#f8fafc', padding: '0.75rem', borderRadius: '0.375rem' }}>
+      <div style={{ fontSize: '0.75rem', fontWeight: 500, color: '#718096' }}>{label}</div>
+      <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color }}>{value.toLocaleString()}</div>
+    </div>
+  );
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'center',
+      padding: '2rem 1rem',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        padding: '1.5rem',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.12)',
+        maxWidth: '960px',
+        width: '100%'
+      }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 600, marginBottom: '0.5rem' }}>
+          Append Batch
+        </h2>
+        {batchNames.length > 0 && (
+          <p style={{ color: '#4a5568', fontSize: '0.875rem', marginBottom: '1rem' }}>
+            Appending <strong>{batchNames.join(', ')}</strong> ({batchRows.length.toLocaleString()} rows)
+            to <strong>{sourceName}</strong> ({rows.length.toLocaleString()} rows).
+          </p>
+        )}
+
+        {failures.length > 0 && (
+          <div style={{
+            backgroundColor: '#fff5f5',
+            border: '1px solid #feb2b2',
+            borderRadius: '0.375rem',
+            padding: '0.75rem 1rem',
+            marginBottom: '1rem',
+            fontSize: '0.875rem',
+            color: '#9b2c2c'
+          }}>
+            <strong>
+              {batchNames.length > 0 ? 'Left out of the batch, as they could not be read:' : 'None of the batch files could be read:'}
+            </strong>
+            <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+              {failures.map((failure, index) => <li key={index}>{failure}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem', fontSize: '0.875rem', marginBottom: '1rem' }}>
+          <label>
+            Sample ID column:
+            <select value={idColumn} onChange={(e) => setIdColumn(e.target.value)} style={selectStyle}>
+              {idOptions.length === 0 && <option value="">- no shared columns -</option>}
+              {idOptions.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Duplicates with different values:
+            <select value={conflictRule} onChange={(e) => setConflictRule(e.target.value)} style={selectStyle}>
+              {Object.entries(CONFLICT_RULES).map(([rule, label]) => (
+                <option key={rule} value={rule}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {batchNames.length === 0 ? null : result ? (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+              gap: '0.75rem',
+              marginBottom: '1rem'
+            }}>
+              {renderCount('Rows added', result.summary.added, '#38a169')}
+              {renderCount('Rows updated', result.summary.updated, '#5a67d8')}
+              {renderCount('Already present', result.summary.unchanged, '#718096')}
+              {renderCount('Rejected', result.summary.rejected.length, '#e53e3e')}
+              {renderCount('Dataset after append', result.rows.length, '#1a202c')}
+            </div>
+
+            {result.summary.conflicts.length > 0 && (
+              <div style={{ overflowX: 'auto', marginBottom: '1rem' }}>
+                <p style={{ fontSize: '0.875rem', color: '#975a16', marginBottom: '0.5rem' }}>
+                  {result.summary.conflicts.length.toLocaleString()} updated rows also had values that differ
+                  from the dataset; those columns keep their existing values.
+                </p>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
+                      <th style={cellStyle}>{idColumn}</th>
+                      <th style={cellStyle}>New values ignored</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.summary.conflicts.slice(0, MAX_REJECTED_SHOWN).map(({ row, columns }, index) => (
+                      <tr key={index} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc' }}>
+                        <td style={cellStyle}>{String(row[idColumn])}</td>
+                        <td style={{ ...cellStyle, color: '#4a5568' }}>
+                          {columns.map(column => `${column}: ${row[column]}`).join(', ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {result.summary.conflicts.length > MAX_REJECTED_SHOWN && (
+                  <p style={{ fontSize: '0.75rem', color: '#718096', marginTop: '0.5rem' }}>
+                    and {(result.summary.conflicts.length - MAX_REJECTED_SHOWN).toLocaleString()} more
+                  </p>
+                )}
+              </div>
+            )}
+
+            {result.summary.rejected.length > 0 && (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
+                      <th style={cellStyle}>{idColumn}</th>
+                      <th style={cellStyle}>Reason rejected</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.summary.rejected.slice(0, MAX_REJECTED_SHOWN).map(({ row, reason }, index) => (
+                      <tr key={index} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc' }}>
+                        <td style={cellStyle}>{row[idColumn] !== undefined && row[idColumn] !== null ? String(row[idColumn]) : '-'}</td>
+                        <td style={{ ...cellStyle, color: '#4a5568' }}>{reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {result.summary.rejected.length > MAX_REJECTED_SHOWN && (
+                  <p style={{ fontSize: '0.75rem', color: '#718096', marginTop: '0.5rem' }}>
+                    and {(result.summary.rejected.length - MAX_REJECTED_SHOWN).toLocaleString()} more
+                  </p>
+                )}
+              </div>
+            )}
+          </>
+        ) : (
+          <p style={{ color: '#e53e3e', fontSize: '0.875rem' }}>
+            The batch shares no columns with the loaded dataset, so its rows cannot be matched.
+          </p>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: '0.5rem 1rem',
+              fontWeight: 500,
+              backgroundColor: 'white',
+              color: '#4a5568',
+              border: '1px solid #cbd5e0',
+              borderRadius: '0.375rem',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(result, { idColumn, conflictRule })}
+            disabled={!result}
+            style={{
+              padding: '0.5rem 1rem',
+              fontWeight: 500,
+              backgroundColor: result ? '#5a67d8' : '#a3bffa',
+              color: 'white',
+              border: 'none',
+              borderRadius: '0.375rem',
+              cursor: result ? 'pointer' : 'not-allowed'
+            }}
+          >
+            Append
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AppendPreview;
@@ -0,0 +1,139 @@
+// src/ColumnMapper.jsx
+import React, { useState, useMemo } from 'react';
+import { FIELDS, TYPE_LABELS, validateSchema } from './schema.js';
+
+// Lets the user point each CovBoard field at a column of the loaded file,
+// re-running the schema check as the selection changes
+const ColumnMapper = ({ sourceName, fields, rows, initialMapping, onApply, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+
+  const validation = useMemo(() => validateSchema(rows, mapping), [rows, mapping]);
+
+  const cellStyle = { padding: '0.5rem', border: '1px solid #e2e8f0', verticalAlign: 'top' };
+
+  const renderStatus = (key) => {
+    if (validation.missing.includes(key)) {
+      return <span style={{ color: '#718096' }}>Not mapped - related charts will be empty</span>;
+    }
+    if (validation.empty.includes(key)) {
+      return <span style={{ color: '#dd6b20' }}>Column has no values</span>;
+    }
+    const issue = validation.mistyped.find(m => m.key === key);
+    if (issue) {
+      return (
+        <span style={{ color: '#e53e3e' }}>
+          {issue.invalid} of {issue.checked} sampled values are not a valid {TYPE_LABELS[FIELDS.find(f => f.key === key).type]}
+          {' '}(e.g. {issue.examples.map(example => `"${example}"`).join(', ')})
+        </span>
+      );
+    }
+    return <span style={{ color: '#38a169' }}>OK</span>;
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'center',
+      padding: '2rem 1rem',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        padding: '1.5rem',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.12)',
+        maxWidth: '960px',
+        width: '100%'
+      }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 600, marginBottom: '0.5rem' }}>
+          Map Columns
+        </h2>
+        <p style={{ color: '#4a5568', fontSize: '0.875rem', marginBottom: '1rem' }}>
+          Some columns CovBoard needs were not found in <strong>{sourceName}</strong> ({rows.length.toLocaleString()} rows).
+          Choose which column of your file holds each field. The mapping is remembered for files with the same columns.
+        </p>
+
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
+                <th style={cellStyle}>CovBoard Field</th>
+                <th style={cellStyle}>Column in File</th>
+                <th style={cellStyle}>Example</th>
+                <th style={cellStyle}>Check</th>
+              </tr>
+            </thead>
+            <tbody>
+              {FIELDS.map((field, index) => {
+                const column = mapping[field.key];
+                const example = column && rows.length > 0 ? rows.find(row => row[column] !== null && row[column] !== undefined && row[column] !== '') : null;
+                return (
+                  <tr key={field.key} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc' }}>
+                    <td style={cellStyle}>
+                      <div style={{ fontWeight: 500 }}>{field.label}</div>
+                      <div style={{ fontSize: '0.75rem', color: '#718096' }}>{field.key}</div>
+                    </td>
+                    <td style={cellStyle}>
+                      <select
+                        value={column || ''}
+                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                        style={{
+                          padding: '0.25rem',
+                          borderRadius: '0.25rem',
+                          border: '1px solid #cbd5e0',
+                          maxWidth: '220px'
+                        }}
+                      >
+                        <option value="">- not available -</option>
+                        {fields.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td style={{ ...cellStyle, maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#4a5568' }}>
+                      {example ? String(example[column]) : '-'}
+                    </td>
+                    <td style={cellStyle}>{renderStatus(field.key)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: '0.5rem 1rem',
+              fontWeight: 500,
+              backgroundColor: 'white',
+              color: '#4a5568',
+              border: '1px solid #cbd5e0',
+              borderRadius: '0.375rem',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(mapping)}
+            style={{
+              padding: '0.5rem 1rem',
+              fontWeight: 500,
+              backgroundColor: '#5a67d8',
+              color: 'white',
+              border: 'none',
+              borderRadius: '0.375rem',
+              cursor: 'pointer'
+            }}
+          >
+            Apply Mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -0,0 +1,239 @@
+// src/ComparisonView.jsx
+import React, { useState, useMemo } from 'react';
+import { Bar, Line } from 'react-chartjs-2';
+import { compareLineages, compareMutations, compareMonthly } from './comparison.js';
+import { summarizeDataset } from './analytics.js';
+import DataTable from './DataTable.jsx';
+
+const PRIMARY_COLOR = 'rgba(90, 103, 216, 0.7)';
+const COMPARISON_COLOR = 'rgba(237, 137, 54, 0.7)';
+
+const panelStyle = {
+  backgroundColor: '#f8fafc',
+  padding: '1rem',
+  borderRadius: '0.375rem'
+};
+
+const headingStyle = { fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' };
+
+const cellStyle = { padding: '0.375rem 0.5rem', borderBottom: '1px solid #e2e8f0', textAlign: 'right' };
+
+// Share differences are in percentage points
+const DeltaBadge = ({ value, unit = ' pp', digits = 1 }) => {
+  if (Math.abs(value) < Math.pow(10, -digits) / 2) {
+    return <span style={{ color: '#718096' }}>0{unit}</span>;
+  }
+  return (
+    <span style={{ color: value > 0 ? '#2b6cb0' : '#c05621', fontWeight: 600 }}>
+      {value > 0 ? '▲ +' : '▼ '}{value.toFixed(digits)}{unit}
+    </span>
+  );
+};
+
+const formatShare = (value) => `${value.toFixed(1)}%`;
+
+// Columns of a lineage or mutation share table. Shares are sorted, filtered
+// and copied rounded the way they are shown.
+const shareColumns = (keyLabel, primaryName, comparisonName) => [
+  { key: 'key', label: keyLabel, render: (item) => <span style={{ fontFamily: 'monospace' }}>{item.key}</span> },
+  {
+    key: 'primaryShare',
+    label: primaryName,
+    align: 'right',
+    value: (item) => Number(item.primaryShare.toFixed(1)),
+    render: (item) => `${formatShare(item.primaryShare)} (${item.primaryCount})`
+  },
+  {
+    key: 'comparisonShare',
+    label: comparisonName,
+    align: 'right',
+    value: (item) => Number(item.comparisonShare.toFixed(1)),
+    render: (item) => `${formatShare(item.comparisonShare)} (${item.comparisonCount})`
+  },
+  { key: 'delta', label: 'Change', align: 'right', value: (item) => Number(item.delta.toFixed(1)), render: (item) => <DeltaBadge value={item.delta} /> }
+];
+
+// Side-by-side view of two datasets: headline stats, lineage shares, samples
+// over time and mutation prevalence, with the change from primary to comparison
+const ComparisonView = ({ primaryName, comparisonName, primaryRows, comparisonRows, onClose }) => {
+  // Datasets of very different size are easier to compare as shares
+  const [temporalScale, setTemporalScale] = useState('share');
+
+  // Counted from the datasets' sample stores, once per pair of datasets
+  const { primaryStats, comparisonStats, lineages, mutations, monthly } = useMemo(() => ({
+    primaryStats: summarizeDataset(primaryRows),
+    comparisonStats: summarizeDataset(comparisonRows),
+    lineages: compareLineages(primaryRows, comparisonRows),
+    mutations: compareMutations(primaryRows, comparisonRows),
+    monthly: compareMonthly(primaryRows, comparisonRows)
+  }), [primaryRows, comparisonRows]);
+
+  const toShares = (counts, total) => counts.map(count => (total > 0 ? (count / total) * 100 : 0));
+  const primaryMonthly = temporalScale === 'share' ? toShares(monthly.primary, primaryRows.length) : monthly.primary;
+  const comparisonMonthly = temporalScale === 'share' ? toShares(monthly.comparison, comparisonRows.length) : monthly.comparison;
+
+  const groupedBar = (items) => ({
+    labels: items.map(item => item.key),
+    datasets: [
+      { label: primaryName, data: items.map(item => item.primaryShare), backgroundColor: PRIMARY_COLOR, borderWidth: 1 },
+      { label: comparisonName, data: items.map(item => item.comparisonShare), backgroundColor: COMPARISON_COLOR, borderWidth: 1 }
+    ]
+  });
+
+  const shareOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`
+        }
+      }
+    },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: '% of samples' } }
+    }
+  };
+
+  const statRows = [
+    { label: 'Total Samples', primary: primaryStats.totalSamples, comparison: comparisonStats.totalSamples },
+    { label: 'Variant Lineages', primary: primaryStats.uniqueLineages, comparison: comparisonStats.uniqueLineages },
+    { label: 'Countries', primary: primaryStats.uniqueCountries, comparison: comparisonStats.uniqueCountries },
+    { label: 'Avg Mutations', primary: primaryStats.avgMutations, comparison: comparisonStats.avgMutations, digits: 1 }
+  ];
+
+  // Kept between renders so the tables don't sort again
+  const lineageColumns = useMemo(() => shareColumns('Lineage', primaryName, comparisonName), [primaryName, comparisonName]);
+  const mutationColumns = useMemo(() => shareColumns('Mutation', primaryName, comparisonName), [primaryName, comparisonName]);
+
+  const renderShareTable = (items, columns, csvName) => (
+    <div style={{ marginTop: '1rem' }}>
+      <DataTable columns={columns} rows={items} rowKey={item => item.key} height={300} csvName={csvName} />
+    </div>
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 600 }}>
+          Dataset Comparison
+        </h2>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '0.25rem 0.75rem',
+            fontSize: '0.875rem',
+            backgroundColor: 'white',
+            color: '#4a5568',
+            border: '1px solid #cbd5e0',
+            borderRadius: '0.375rem',
+            cursor: 'pointer'
+          }}
+        >
+          Close comparison
+        </button>
+      </div>
+      <p style={{ color: '#4a5568', fontSize: '0.875rem', marginBottom: '1rem' }}>
+        <span style={{ color: PRIMARY_COLOR, fontWeight: 600 }}>■</span> {primaryName} (loaded dataset) compared with
+        {' '}<span style={{ color: COMPARISON_COLOR, fontWeight: 600 }}>■</span> {comparisonName}.
+        Changes are shown from the loaded dataset to the comparison dataset, in percentage points (pp) of each dataset's samples.
+      </p>
+
+      {/* Headline stats */}
+      <div style={{ ...panelStyle, marginBottom: '1.5rem' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+          <thead>
+            <tr style={{ color: '#4a5568' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}></th>
+              <th style={cellStyle}>{primaryName}</th>
+              <th style={cellStyle}>{comparisonName}</th>
+              <th style={cellStyle}>Difference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {statRows.map(({ label, primary, comparison, digits = 0 }) => (
+              <tr key={label}>
+                <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 500 }}>{label}</td>
+                <td style={cellStyle}>{primary.toFixed(digits)}</td>
+                <td style={cellStyle}>{comparison.toFixed(digits)}</td>
+                <td style={cellStyle}><DeltaBadge value={comparison - primary} unit="" digits={digits} /></td>
+              </tr>
+            ))}
+            <tr>
+              <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 500 }}>Date Range</td>
+              <td style={cellStyle}>{primaryStats.dateRange.min} to {primaryStats.dateRange.max}</td>
+              <td style={cellStyle}>{comparisonStats.dateRange.min} to {comparisonStats.dateRange.max}</td>
+              <td style={cellStyle}></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))',
+        gap: '1.5rem'
+      }}>
+        {/* Lineage distribution */}
+        <div style={panelStyle}>
+          <h3 style={headingStyle}>Lineage Share</h3>
+          <div style={{ height: '300px' }}>
+            <Bar options={shareOptions} data={groupedBar(lineages)} />
+          </div>
+          {renderShareTable(lineages, lineageColumns, 'lineage shares')}
+        </div>
+
+        {/* Temporal trends */}
+        <div style={panelStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={headingStyle}>Samples Over Time</h3>
+            <select
+              value={temporalScale}
+              onChange={(e) => setTemporalScale(e.target.value)}
+              style={{ fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0', marginBottom: '0.75rem' }}
+            >
+              <option value="share">% of each dataset</option>
+              <option value="count">sample counts</option>
+            </select>
+          </div>
+          <div style={{ height: '300px' }}>
+            <Line
+              options={{
+                ...shareOptions,
+                plugins: {
+                  ...shareOptions.plugins,
+                  tooltip: temporalScale === 'share' ? shareOptions.plugins.tooltip : {}
+                },
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    title: { display: true, text: temporalScale === 'share' ? '% of samples' : 'Samples' }
+                  }
+                }
+              }}
+              data={{
+                labels: monthly.months,
+                datasets: [
+                  { label: primaryName, data: primaryMonthly, borderColor: PRIMARY_COLOR, backgroundColor: PRIMARY_COLOR, tension: 0.4 },
+                  { label: comparisonName, data: comparisonMonthly, borderColor: COMPARISON_COLOR, backgroundColor: COMPARISON_COLOR, tension: 0.4 }
+                ]
+              }}
+            />
+          </div>
+        </div>
+
+        {/* Top mutations */}
+        <div style={{ ...panelStyle, gridColumn: '1 / -1' }}>
+          <h3 style={headingStyle}>Top Mutations (share of samples carrying each)</h3>
+          <div style={{ height: '350px' }}>
+            <Bar options={shareOptions} data={groupedBar(mutations)} />
+          </div>
+          {renderShareTable(mutations, mutationColumns, 'mutation shares')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
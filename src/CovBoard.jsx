@@ -1,5 +1,5 @@
 // src/CovBoard.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -14,7 +14,72 @@ import {
   Filler
 } from 'chart.js';
 import { Bar, Line, Pie } from 'react-chartjs-2';
-import Papa from 'papaparse';
+import DataLoader from './DataLoader.jsx';
+import { readResponse, formatBytes } from './csvStream.js';
+import ColumnMapper from './ColumnMapper.jsx';
+import {
+  getSavedMapping,
+  suggestMapping,
+  saveMapping,
+  validateSchema,
+  applyMapping,
+  getFieldLabel
+} from './schema.js';
+import { isGisaidMetadata, convertGisaidRows, GISAID_OUTPUT_FIELDS } from './gisaid.js';
+import { isNextcladeTable, convertNextcladeRows, NEXTCLADE_FIELDS } from './nextclade.js';
+import {
+  readAnnotationFiles,
+  joinAnnotations,
+  findSequenceNameColumn,
+  normalizeSequenceName
+} from './annotations.js';
+import { isVcfFile, readVcfFiles, VCF_FIELDS } from './vcf.js';
+import { readDataRows, readGzipCsvRows, isDelimitedFile } from './dataReader.js';
+import { normalizeDates, periodKey, countImpreciseDates, IMPRECISE_DATE_OPTIONS } from './dates.js';
+import {
+  sniffCompression,
+  gunzipFile,
+  gunzippedName,
+  decompressIfGzip,
+  listZipEntries,
+  extractZipEntry
+} from './compression.js';
+import { parseAuspiceTree } from './auspice.js';
+import TreeView from './TreeView.jsx';
+import { createAnalyticsEngine } from './analyticsEngine.js';
+import {
+  fetchFirstAvailable,
+  loadDataConfig,
+  readDataParam,
+  writeDataParam,
+  resolveDataSource,
+  readVersion,
+  canDetectChanges,
+  fetchIfChanged,
+  REFRESH_INTERVALS,
+  loadAutoRefreshSettings,
+  saveAutoRefreshSettings
+} from './dataSources.js';
+import { summarizeUpdate } from './comparison.js';
+import { rowMutations } from './analytics.js';
+import ZipEntryPicker from './ZipEntryPicker.jsx';
+import ComparisonView from './ComparisonView.jsx';
+import DataQualityView from './DataQualityView.jsx';
+import AppendPreview from './AppendPreview.jsx';
+import { saveAppendSettings } from './append.js';
+import DatasetManager from './DatasetManager.jsx';
+import DataTable from './DataTable.jsx';
+import {
+  hashContent,
+  getActiveDatasetHash,
+  setActiveDatasetHash,
+  listCachedDatasets,
+  loadCachedDataset,
+  saveCachedDataset,
+  renameCachedDataset,
+  saveCachedVersion,
+  deleteCachedDataset
+} from './datasetCache.js';
 
 // Register Chart.js components
 ChartJS.register(
@@ -30,11 +95,83 @@ ChartJS.register(
   Filler
 );
 
+// Tab titles that aren't just the capitalised tab name
+const TAB_LABELS = { quality: 'Data Quality' };
+
+// Known effects of well-studied mutations, from the literature rather than
+// the data; only their sample counts come from the open dataset
+const KEY_MUTATION_IMPACTS = [
+  { mutation: 'S:D614G', protein: 'Spike', frequency: 'High', impact: 'Increased infectivity, stabilizes spike in open conformation' },
+  { mutation: 'S:N501Y', protein: 'Spike', frequency: 'Medium', impact: 'Enhanced binding to ACE2 receptor, associated with Alpha & Beta variants' },
+  { mutation: 'S:E484K', protein: 'Spike', frequency: 'Medium', impact: 'Possible immune escape, reduces neutralization by antibodies' },
+  { mutation: 'S:K417N', protein: 'Spike', frequency: 'Low', impact: 'Possible immune escape, changes binding interface' },
+  { mutation: 'S:P681R', protein: 'Spike', frequency: 'Medium', impact: 'Near furin cleavage site, may increase cell entry efficiency' },
+  { mutation: 'N:R203K', protein: 'Nucleocapsid', frequency: 'High', impact: 'May affect RNA binding, often co-occurs with N:G204R' },
+  { mutation: 'ORF1a:T3255I', protein: 'NSP5 (Protease)', frequency: 'Low', impact: 'May affect protease function, under investigation' },
+  { mutation: 'S:L452R', protein: 'Spike', frequency: 'Medium', impact: 'Enhanced ACE2 receptor binding, reduced antibody recognition' },
+  { mutation: 'S:H69del', protein: 'Spike', frequency: 'Medium', impact: 'Often co-occurs with S:V70del, may affect antibody binding' }
+];
+
+const IMPACT_COLUMNS = [
+  { key: 'mutation', label: 'Mutation', width: '15%' },
+  { key: 'protein', label: 'Protein', width: '15%' },
+  { key: 'frequency', label: 'Frequency', width: '12%' },
+  { key: 'samples', label: 'Samples in Dataset', width: '12%', align: 'right' },
+  { key: 'impact', label: 'Potential Impact' }
+];
+
 const CovBoard = () => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [dataSource, setDataSource] = useState('');
+  const [loadProgress, setLoadProgress] = useState(null);
+  // Parsed file waiting for the user to map its columns
+  const [pendingDataset, setPendingDataset] = useState(null);
+  const [schemaIssues, setSchemaIssues] = useState(null);
+  // How annotation joins treat values the dataset already has
+  const [joinMode, setJoinMode] = useState('overwrite');
+  const [joinSummary, setJoinSummary] = useState(null);
+  // FASTA records that could not be aligned to the reference
+  const [alignmentFailures, setAlignmentFailures] = useState(null);
+  // Zip archive waiting for the user to pick a file: { archive, entries, target, origin }
+  const [pendingZip, setPendingZip] = useState(null);
+  // Second dataset shown next to the loaded one: { rows, sourceName, issues }
+  const [comparison, setComparison] = useState(null);
+  // Comparison dataset being read, or why it could not be:
+  // { fileName, pending, progress, error }
+  const [comparisonLoad, setComparisonLoad] = useState(null);
+  // Batch rows waiting to be appended: { rows, sourceNames, failures } with
+  // failures the messages of batch files that could not be read
+  const [pendingAppend, setPendingAppend] = useState(null);
+  const [appendSummary, setAppendSummary] = useState(null);
+  // Content hash the open dataset is cached under, if it is
+  const [activeHash, setActiveHash] = useState(null);
+  const [cachedDatasets, setCachedDatasets] = useState([]);
+  const [showDatasetManager, setShowDatasetManager] = useState(false);
+  // Datasets listed in covboard.config.json, and the server dataset last
+  // downloaded: { id, name, urls }
+  const [dataConfig, setDataConfig] = useState(null);
+  const [remoteSource, setRemoteSource] = useState(null);
+  // Polling the server dataset for a new version: { enabled, minutes }
+  const [autoRefresh, setAutoRefresh] = useState(loadAutoRefreshSettings);
+  // New version found by polling, waiting for the user to show it:
+  // { rows, aggregates, sourceName, validation, hash, origin, summary }
+  const [pendingRefresh, setPendingRefresh] = useState(null);
+  // Nextstrain tree shown in the Tree tab, and the samples selected in it:
+  // { nodeId, label, names } with normalised strain names
+  const [tree, setTree] = useState(null);
+  const [treeSelection, setTreeSelection] = useState(null);
+  // What each monthly chart does with dates that only give a year
+  const [impreciseDates, setImpreciseDates] = useState({
+    timeline: 'exclude',
+    lineages: 'exclude',
+    mutations: 'exclude'
+  });
+  // Worker results behind the tab charts: { view: { rows, results } }. A view
+  // only counts while its rows are still the open dataset.
+  const [analysis, setAnalysis] = useState({});
   
   // Dashboard metrics
   const [stats, setStats] = useState({
@@ -67,141 +204,929 @@ const CovBoard = () => {
     '#d0ed57', '#ffc658', '#ff8042', '#ff6361', '#bc5090'
   ];
 
-  useEffect(() => {
-    const fetchData = async () => {
+  // Bumped on every load so a slow fetch can't overwrite a file picked later
+  const loadIdRef = useRef(0);
+  // Stops whichever download or parser worker is currently running
+  const cancelLoadRef = useRef(null);
+  // The same for the comparison dataset, which loads beside the open one
+  const comparisonLoadIdRef = useRef(0);
+  const cancelComparisonRef = useRef(null);
+  // Batch files still to be read after the current one, as lists: a VCF
+  // list is read together, any other list holds one file
+  const appendQueueRef = useRef([]);
+  // Files of the batch being appended, hashed to cache the result
+  const appendFilesRef = useRef([]);
+  // Hash and origin of the content being loaded, to cache it under once parsed
+  const pendingCacheRef = useRef(null);
+  // Validators and content hash of the server file last seen: { url, etag, lastModified, hash }
+  const remoteVersionRef = useRef(null);
+  // Hash and origin of the new version being read in the background
+  const pendingRefreshRef = useRef(null);
+  // Latest checkForUpdate, called by the polling timer
+  const checkForUpdateRef = useRef(null);
+  // Analytics worker, started with the first dataset
+  const analyticsRef = useRef(null);
+  const checkingRef = useRef(false);
+  // The open rows as of the last commit, for work that finishes after the
+  // render that started it
+  const dataRef = useRef(data);
+
+  const loadIdRefOf = (target) => (target === 'comparison' ? comparisonLoadIdRef : loadIdRef);
+  const cancelRefOf = (target) => (target === 'comparison' ? cancelComparisonRef : cancelLoadRef);
+  const isCurrentLoad = (loadId, target) => loadId === loadIdRefOf(target).current;
+
+  // A comparison load only updates its status next to the compare control;
+  // every other load takes over the dashboard
+  const beginLoad = (target = 'primary', fileName = '') => {
+    if (target === 'comparison') {
+      if (cancelComparisonRef.current) cancelComparisonRef.current();
+      cancelComparisonRef.current = null;
+      setComparisonLoad({ fileName, pending: true });
+      comparisonLoadIdRef.current += 1;
+      return comparisonLoadIdRef.current;
+    }
+    if (cancelLoadRef.current) cancelLoadRef.current();
+    cancelLoadRef.current = null;
+    setLoading(true);
+    setError(null);
+    setPendingDataset(null);
+    setAlignmentFailures(null);
+    setLoadProgress(null);
+    pendingCacheRef.current = null;
+    loadIdRef.current += 1;
+    return loadIdRef.current;
+  };
+
+  const showLoadProgress = (target, progress) => {
+    if (target === 'comparison') {
+      setComparisonLoad(prev => (prev && prev.pending ? { ...prev, progress } : prev));
+    } else {
+      setLoadProgress(progress);
+    }
+  };
+
+  const endLoad = (target) => {
+    if (target === 'comparison') {
+      setComparisonLoad(null);
+    } else {
+      setLoading(false);
+    }
+  };
+
+  // A batch file that can't be read is listed in the append preview, and the
+  // rest of the batch is still read
+  const failLoad = (target, message) => {
+    if (target === 'append') {
+      setPendingAppend(prev => ({
+        rows: prev ? prev.rows : [],
+        sourceNames: prev ? prev.sourceNames : [],
+        failures: [...(prev ? prev.failures : []), message]
+      }));
+      readNextAppendFiles();
+      return;
+    }
+    if (target === 'comparison') {
+      setComparisonLoad(prev => ({ fileName: prev ? prev.fileName : '', error: message }));
+      return;
+    }
+    setError(message);
+    setLoadProgress(null);
+    setLoading(false);
+  };
+
+  const refreshCachedDatasets = async () => {
+    try {
+      setCachedDatasets(await listCachedDatasets());
+    } catch (error) {
+      console.error('Could not list cached datasets:', error);
+    }
+  };
+
+  const activateDataset = (hash) => {
+    setActiveHash(hash);
+    setActiveDatasetHash(hash);
+  };
+
+  const restoreCachedDataset = ({ info, rows, aggregates, issues }) => {
+    cancelLoadRef.current = null;
+    setData(rows);
+    applyAggregates(aggregates);
+    setDataSource(info.name);
+    setSchemaIssues(issues);
+    setJoinSummary(null);
+    setAppendSummary(null);
+    setLoadProgress(null);
+    activateDataset(info.hash);
+    setLoading(false);
+    refreshCachedDatasets();
+  };
+
+  // ETag and Last-Modified of the server file just downloaded from origin, to
+  // cache with it; {} for anything else
+  const serverValidators = (origin) => {
+    const version = remoteVersionRef.current;
+    if (!version || version.url !== origin) return {};
+    return { etag: version.etag, lastModified: version.lastModified };
+  };
+
+  // Look the content up in the cache and restore it on a hit. On a miss its
+  // hash is kept so the parsed dataset can be cached under it.
+  const openFromCache = async (parts, origin, loadId) => {
+    try {
+      const hash = await hashContent(parts);
+      if (loadId !== loadIdRef.current) return false;
+      const validators = serverValidators(origin);
+      pendingCacheRef.current = { hash, origin, ...validators };
+      const cached = await loadCachedDataset(hash);
+      if (!cached || loadId !== loadIdRef.current) return false;
+      restoreCachedDataset(cached);
+      if ('etag' in validators) {
+        saveCachedVersion(hash, validators).catch(error => console.error('Could not cache dataset:', error));
+      }
+      return true;
+    } catch (error) {
+      // Private browsing or a full disk: carry on without the cache
+      console.error('Dataset cache unavailable:', error);
+      return false;
+    }
+  };
+
+  const storeInCache = async (record) => {
+    try {
+      const info = await saveCachedDataset(record);
+      activateDataset(info.hash);
+      refreshCachedDatasets();
+    } catch (error) {
+      console.error('Could not cache dataset:', error);
+    }
+  };
+
+  // Cache a dataset derived from the open one (a join or an append). The
+  // key combines the open dataset's hash with the added files and settings.
+  const storeDerivedInCache = async (parts, name, origin, rows, aggregates) => {
+    if (!activeHash) return;
+    try {
+      const hash = await hashContent([activeHash, ...parts]);
+      storeInCache({ hash, name, origin, rows, aggregates, issues: schemaIssues });
+    } catch (error) {
+      console.error('Could not cache dataset:', error);
+    }
+  };
+
+  // Check the columns against CovBoard's schema. A layout mapped before is
+  // applied straight away; otherwise problems send the user to the mapper.
+  // Rows that are `converted` already use CovBoard's field names, so any
+  // problems are only reported.
+  const prepareDataset = (rows, fields, sourceName, { converted = false, target = 'primary' } = {}) => {
+    // GISAID and Nextclade exports need more than renaming columns, so convert them first
+    if (isGisaidMetadata(fields)) {
+      rows = convertGisaidRows(rows);
+      fields = GISAID_OUTPUT_FIELDS;
+      converted = true;
+    } else if (isNextcladeTable(fields)) {
+      rows = convertNextcladeRows(rows);
+      fields = NEXTCLADE_FIELDS;
+      converted = true;
+    }
+
+    const savedMapping = converted ? null : getSavedMapping(fields);
+    const mapping = savedMapping || suggestMapping(fields);
+    const validation = validateSchema(rows, mapping);
+
+    // A background refresh can't open the mapper; problems are only reported
+    if (!converted && !savedMapping && !validation.ok && target !== 'refresh') {
+      setPendingDataset({ rows, fields, sourceName, mapping, target });
+      endLoad(target);
+      return;
+    }
+
+    commitDataset(rows, mapping, sourceName, validation, target);
+  };
+
+  const commitDataset = async (rows, mapping, sourceName, validation, target = 'primary') => {
+    applyMapping(rows, mapping);
+    normalizeDates(rows);
+    if (target === 'append') {
+      setPendingAppend(prev => ({
+        rows: prev ? [...prev.rows, ...rows] : rows,
+        sourceNames: prev ? [...prev.sourceNames, sourceName] : [sourceName],
+        failures: prev ? prev.failures : []
+      }));
+      readNextAppendFiles();
+      return;
+    }
+    if (target === 'refresh') {
+      // Aggregated now so showing the new version is instant. A worker of its
+      // own keeps the open dataset's results in the shared one.
+      const refresh = pendingRefreshRef.current;
+      pendingRefreshRef.current = null;
+      const loadId = loadIdRef.current;
+      const engine = createAnalyticsEngine();
       try {
-        const response = await fetch('/df_cleaned.csv');
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const csvText = await response.text();
-
-        Papa.parse(csvText, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: (result) => {
-            setData(result.data);
-            processData(result.data);
-            setLoading(false);
-          },
-          error: (error) => {
-            console.error('Error parsing CSV:', error);
-            setError('Failed to parse CSV data');
-            setLoading(false);
-          }
+        const aggregates = await computeAggregates(rows, engine);
+        if (!aggregates || loadId !== loadIdRef.current) return;
+        setPendingRefresh({
+          ...refresh,
+          rows,
+          aggregates,
+          sourceName,
+          validation,
+          // Against the rows open now, not those open when the check began
+          summary: summarizeUpdate(dataRef.current, rows)
         });
       } catch (error) {
-        console.error('Error loading file:', error);
-        setError(`Failed to load CSV file: ${error.message}`);
-        setLoading(false);
+        console.error('Error checking for a new version:', error);
+      } finally {
+        engine.terminate();
       }
-    };
+      return;
+    }
+    if (target === 'comparison') {
+      setComparison({ rows, sourceName, issues: validation.ok ? null : validation });
+      setActiveTab('compare');
+      endLoad(target);
+      return;
+    }
+    const loadId = loadIdRef.current;
+    let aggregates;
+    try {
+      aggregates = await computeAggregates(rows);
+    } catch (error) {
+      console.error('Error processing data:', error);
+      setError(`Failed to process ${sourceName}: ${error.message}`);
+      setLoading(false);
+      return;
+    }
+    // Cancelled, or replaced by a dataset opened meanwhile
+    if (!aggregates || loadId !== loadIdRef.current) return;
+    setData(rows);
+    applyAggregates(aggregates);
+    setDataSource(sourceName);
+    setSchemaIssues(validation.ok ? null : validation);
+    setJoinSummary(null);
+    setAppendSummary(null);
+    setLoading(false);
 
-    fetchData();
-  }, []);
+    const pendingCache = pendingCacheRef.current;
+    pendingCacheRef.current = null;
+    if (pendingCache) {
+      storeInCache({
+        ...pendingCache,
+        name: sourceName,
+        rows,
+        aggregates,
+        issues: validation.ok ? null : validation
+      });
+    } else {
+      activateDataset(null);
+    }
+  };
+
+  const applyPendingMapping = (mapping) => {
+    const { rows, fields, sourceName, target } = pendingDataset;
+    saveMapping(fields, mapping);
+    setPendingDataset(null);
+    commitDataset(rows, mapping, sourceName, validateSchema(rows, mapping), target);
+  };
+
+  const cancelPendingMapping = () => {
+    setPendingDataset(null);
+    appendQueueRef.current = [];
+    setPendingAppend(null);
+    if (data.length === 0) {
+      setError('Loading cancelled');
+    }
+  };
 
-  const processData = (data) => {
-    // Basic stats processing
-    const lineages = [...new Set(data.map(row => row.pango_lineage).filter(Boolean))];
-    const countries = [...new Set(data.map(row => row.country).filter(Boolean))];
-    
-    const validDates = data
-      .map(row => row.date)
-      .filter(Boolean)
-      .sort();
-    
-    const minDate = validDates[0] || '';
-    const maxDate = validDates[validDates.length - 1] || '';
-    
-    // Calculate average mutations
-    let totalMutations = 0;
-    let countSamples = 0;
-    
-    data.forEach(row => {
-      if (row.totalSubstitutions !== undefined && !isNaN(row.totalSubstitutions)) {
-        totalMutations += row.totalSubstitutions;
-        countSamples++;
+  const loadFile = (file, target = 'primary') => {
+    const loadId = beginLoad(target, file.name);
+    unpackAndRead(file, target, loadId);
+  };
+
+  const reportDecompressProgress = (loadId, target) => (progress) => {
+    if (!isCurrentLoad(loadId, target)) return;
+    showLoadProgress(target, { phase: 'decompress', ...progress });
+  };
+
+  // gzip and zip are recognised by their content. A gzip file is cached under
+  // the hash of its compressed bytes, so a hit skips decompressing it; a
+  // gzipped CSV or TSV is parsed as it is decompressed. A zip archive with
+  // several files asks which one to load.
+  const unpackAndRead = async (file, target, loadId, origin = file.name) => {
+    try {
+      const compression = await sniffCompression(file);
+      if (!isCurrentLoad(loadId, target)) return;
+
+      if (compression === 'gzip') {
+        if (target === 'primary' && await openFromCache([file], origin, loadId)) return;
+        if (!isCurrentLoad(loadId, target)) return;
+        if (isDelimitedFile({ name: gunzippedName(file) })) {
+          readDataFile(file, target, loadId, origin, { gzip: true });
+          return;
+        }
+        const unpacked = await gunzipFile(file, reportDecompressProgress(loadId, target));
+        if (!isCurrentLoad(loadId, target)) return;
+        showLoadProgress(target, null);
+        readDataFile(unpacked, target, loadId, origin, { hashed: true });
+        return;
       }
-    });
-    
-    const avgMutations = countSamples > 0 ? (totalMutations / countSamples).toFixed(1) : 0;
-    
-    setStats({
-      totalSamples: data.length,
-      uniqueLineages: lineages.length,
-      uniqueCountries: countries.length,
-      avgMutations: avgMutations,
-      dateRange: { min: minDate, max: maxDate }
-    });
 
-    // Process variant data for Chart.js
-    const lineageCounts = {};
-    data.forEach(row => {
-      if (row.pango_lineage) {
-        lineageCounts[row.pango_lineage] = (lineageCounts[row.pango_lineage] || 0) + 1;
+      if (compression === 'zip') {
+        const entries = await listZipEntries(file);
+        if (!isCurrentLoad(loadId, target)) return;
+        if (entries.length === 0) {
+          throw new Error('the zip archive contains no files');
+        }
+        if (entries.length === 1) {
+          const entry = await extractZipEntry(file, entries[0], reportDecompressProgress(loadId, target));
+          if (!isCurrentLoad(loadId, target)) return;
+          showLoadProgress(target, null);
+          unpackAndRead(entry, target, loadId, origin);
+          return;
+        }
+        setPendingZip({ archive: file, entries, target, origin });
+        endLoad(target);
+        return;
+      }
+    } catch (error) {
+      if (!isCurrentLoad(loadId, target)) return;
+      console.error('Error decompressing file:', error);
+      failLoad(target, `Failed to decompress ${file.name}: ${error.message}`);
+      return;
+    }
+
+    readDataFile(file, target, loadId, origin);
+  };
+
+  const pickZipEntry = async (entry) => {
+    const { archive, target, origin } = pendingZip;
+    setPendingZip(null);
+    const loadId = beginLoad(target, entry.name);
+    try {
+      const file = await extractZipEntry(archive, entry, reportDecompressProgress(loadId, target));
+      if (!isCurrentLoad(loadId, target)) return;
+      showLoadProgress(target, null);
+      unpackAndRead(file, target, loadId, `${origin}/${entry.name}`);
+    } catch (error) {
+      if (!isCurrentLoad(loadId, target)) return;
+      console.error('Error extracting zip entry:', error);
+      failLoad(target, `Failed to extract ${entry.name}: ${error.message}`);
+    }
+  };
+
+  const cancelZipPicker = () => {
+    setPendingZip(null);
+    appendQueueRef.current = [];
+    setPendingAppend(null);
+    if (data.length === 0) {
+      setError('Loading cancelled');
+    }
+  };
+
+  // Read an uncompressed data file of any supported format. Fetched and
+  // user-picked files both arrive here; most formats are parsed in a worker.
+  // `target` is 'primary' for the dashboard's dataset, 'comparison' for the
+  // dataset it is compared with, or 'append' for a batch to add to it
+  // ('refresh' is only used by checkForUpdate). `gzip` is set for a gzipped
+  // CSV to parse as it decompresses, `hashed` when the cache was already
+  // checked for a compressed file.
+  const readDataFile = async (file, target, loadId, origin = file.name, { gzip = false, hashed = gzip } = {}) => {
+    if (target === 'primary' && !hashed && await openFromCache([file], origin, loadId)) return;
+    if (!isCurrentLoad(loadId, target)) return;
+
+    const name = gzip ? gunzippedName(file) : file.name;
+    const reader = (gzip ? readGzipCsvRows : readDataRows)(file, {
+      onProgress: (progress) => {
+        if (!isCurrentLoad(loadId, target)) return;
+        showLoadProgress(target, progress);
       }
     });
-    
-    const sortedLineages = Object.entries(lineageCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10);
+    cancelRefOf(target).current = reader.cancel;
+    try {
+      const { rows, fields, converted, failed } = await reader.result;
+      if (!isCurrentLoad(loadId, target)) return;
+      cancelRefOf(target).current = null;
+      showLoadProgress(target, null);
+      if (failed) {
+        setAlignmentFailures(failed.length > 0 ? { fileName: name, failed } : null);
+      }
+      prepareDataset(rows, fields, name, { converted, target });
+    } catch (error) {
+      if (!isCurrentLoad(loadId, target)) return;
+      cancelRefOf(target).current = null;
+      console.error('Error reading file:', error);
+      failLoad(target, target === 'append' ? `${name}: ${error.message}` : error.message);
+    }
+  };
 
-    setVariantData({
-      labels: sortedLineages.map(([name]) => name),
-      datasets: [
-        {
-          label: 'Sample Count',
-          data: sortedLineages.map(([, value]) => value),
-          backgroundColor: sortedLineages.map((_, i) => COLORS[i % COLORS.length]),
-          borderWidth: 1,
-        },
-      ],
+  // Several VCFs (one per sample, or SNVs and indels apart) load as one dataset;
+  // any other file type loads on its own
+  const loadFiles = async (files, target = 'primary') => {
+    if (target !== 'append') {
+      appendQueueRef.current = [];
+      setPendingAppend(null);
+    }
+    if (target === 'primary') forgetRemoteSource();
+    if (files.length === 1 && !isVcfFile(files[0])) {
+      loadFile(files[0], target);
+      return;
+    }
+
+    const sourceName = files.map(file => file.name).join(', ');
+    const loadId = beginLoad(target, sourceName);
+    try {
+      if (!files.every(isVcfFile)) {
+        throw new Error('only VCF files can be loaded several at a time');
+      }
+      if (target === 'primary' && await openFromCache(files, sourceName, loadId)) return;
+      if (!isCurrentLoad(loadId, target)) return;
+      const rows = await readVcfFiles(files);
+      if (!isCurrentLoad(loadId, target)) return;
+      prepareDataset(rows, VCF_FIELDS, sourceName, { converted: true, target });
+    } catch (error) {
+      if (!isCurrentLoad(loadId, target)) return;
+      console.error('Error loading VCF files:', error);
+      failLoad(target, `Failed to load VCF files: ${error.message}`);
+    }
+  };
+
+  const loadComparisonFiles = (files) => loadFiles(files, 'comparison');
+
+  const cancelComparisonLoad = () => {
+    if (cancelComparisonRef.current) cancelComparisonRef.current();
+    cancelComparisonRef.current = null;
+    comparisonLoadIdRef.current += 1;
+    setComparisonLoad(null);
+  };
+
+  const readNextAppendFiles = () => {
+    const next = appendQueueRef.current.shift();
+    if (next) {
+      loadAppendFiles(next);
+    } else {
+      setLoading(false);
+    }
+  };
+
+  const loadAppendFiles = (files) => {
+    if (isVcfFile(files[0])) {
+      loadFiles(files, 'append');
+    } else {
+      loadFile(files[0], 'append');
+    }
+  };
+
+  // Batch files are read one after another into pendingAppend, then
+  // previewed before they are merged into the dataset. The batch's VCFs are
+  // read together, after its other files.
+  const appendFiles = (files) => {
+    appendFilesRef.current = files;
+    setPendingAppend(null);
+    setAppendSummary(null);
+    const vcfFiles = files.filter(isVcfFile);
+    const queue = files.filter(file => !isVcfFile(file)).map(file => [file]);
+    if (vcfFiles.length > 0) queue.push(vcfFiles);
+    appendQueueRef.current = queue.slice(1);
+    loadAppendFiles(queue[0]);
+  };
+
+  // The batch was merged into the rows on screen; a load, refresh or join
+  // that replaced them meanwhile wins
+  const applyAppend = async (result, settings) => {
+    saveAppendSettings(settings);
+    const loadId = loadIdRef.current;
+    const base = data;
+    let aggregates;
+    try {
+      aggregates = await computeAggregates(result.rows);
+    } catch (error) {
+      console.error('Error processing appended data:', error);
+      setPendingAppend(prev => prev && {
+        ...prev,
+        failures: [...prev.failures, `Failed to process the appended data: ${error.message}`]
+      });
+      return;
+    }
+    if (!aggregates || loadId !== loadIdRef.current || base !== dataRef.current) return;
+    applyAggregates(aggregates);
+    setData(result.rows);
+    const name = `${dataSource} + ${pendingAppend.sourceNames.join(', ')}`;
+    setDataSource(name);
+    storeDerivedInCache(
+      ['append', JSON.stringify(settings), ...appendFilesRef.current],
+      name,
+      `append of ${pendingAppend.sourceNames.join(', ')}`,
+      result.rows,
+      aggregates
+    );
+    setAppendSummary({
+      batchNames: pendingAppend.sourceNames,
+      idColumn: settings.idColumn,
+      added: result.summary.added,
+      updated: result.summary.updated,
+      unchanged: result.summary.unchanged,
+      rejected: result.summary.rejected.length,
+      conflicts: result.summary.conflicts.length
     });
+    setJoinSummary(null);
+    setPendingAppend(null);
+  };
+
+  const closeComparison = () => {
+    setComparison(null);
+    setActiveTab('overview');
+  };
+
+  // Join per-sequence annotations (Nextclade results, pangolin calls, FASTA or
+  // VCF mutation calls) onto the loaded samples by sequence name
+  const joinFiles = async (files) => {
+    const fileName = files.map(file => file.name).join(', ');
+    setJoinSummary({ fileName, pending: true });
+    try {
+      const annotations = await readAnnotationFiles(files);
+      const { rows, summary } = joinAnnotations(data, annotations.rows, {
+        fields: annotations.fields,
+        mode: joinMode
+      });
+      const aggregates = await processData(rows);
+      if (!aggregates) return;
+      setData(rows);
+      setJoinSummary({ fileName, kind: annotations.kind, ...summary });
+      storeDerivedInCache(
+        ['join', joinMode, ...files],
+        `${dataSource} + ${fileName}`,
+        `${annotations.kind} join of ${fileName}`,
+        rows,
+        aggregates
+      );
+    } catch (error) {
+      console.error('Error joining annotations:', error);
+      setJoinSummary({ fileName, error: error.message });
+    }
+  };
+
+  // Show an Auspice v2 tree next to the loaded dataset. The dataset itself
+  // is unchanged; tips are matched to its rows by strain name when drawn.
+  const loadTreeFiles = async ([file]) => {
+    setTreeSelection(null);
+    setActiveTab('tree');
+    try {
+      const text = await (await decompressIfGzip(file)).text();
+      setTree({ fileName: file.name, ...parseAuspiceTree(JSON.parse(text)) });
+    } catch (error) {
+      console.error('Error loading tree:', error);
+      setTree({ fileName: file.name, error: error.message });
+    }
+  };
+
+  const closeTree = () => {
+    setTree(null);
+    setTreeSelection(null);
+    if (activeTab === 'tree') setActiveTab('overview');
+  };
+
+  const cancelLoad = () => {
+    if (cancelLoadRef.current) cancelLoadRef.current();
+    cancelLoadRef.current = null;
+    appendQueueRef.current = [];
+    setPendingAppend(null);
+    loadIdRef.current += 1;
+    setLoadProgress(null);
+    setLoading(false);
+    // Keep showing the previous dataset if there is one
+    if (data.length === 0) {
+      setError('Loading cancelled');
+    }
+  };
+
+  // Open a cached dataset picked in the dataset manager
+  const openCachedDataset = async (hash) => {
+    const loadId = beginLoad();
+    try {
+      const cached = await loadCachedDataset(hash);
+      if (loadId !== loadIdRef.current) return;
+      if (!cached) {
+        throw new Error('the dataset is no longer cached');
+      }
+      restoreCachedDataset(cached);
+      forgetRemoteSource();
+      setShowDatasetManager(false);
+    } catch (error) {
+      if (loadId !== loadIdRef.current) return;
+      console.error('Error opening cached dataset:', error);
+      setError(`Failed to open cached dataset: ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  const renameDataset = async (hash, name) => {
+    try {
+      await renameCachedDataset(hash, name);
+      if (hash === activeHash) setDataSource(name);
+      refreshCachedDatasets();
+    } catch (error) {
+      console.error('Could not rename dataset:', error);
+    }
+  };
+
+  const deleteDataset = async (hash) => {
+    try {
+      await deleteCachedDataset(hash);
+      if (hash === activeHash) setActiveHash(null);
+      refreshCachedDatasets();
+    } catch (error) {
+      console.error('Could not delete dataset:', error);
+    }
+  };
 
-    // Process temporal data
-    const monthCounts = {};
-    data.forEach(row => {
-      if (row.year && row.month) {
-        const yearMonth = `${row.year}-${String(row.month).padStart(2, '0')}`;
-        monthCounts[yearMonth] = (monthCounts[yearMonth] || 0) + 1;
+  // Download a dataset from the server: the default file, a ?data= URL or a
+  // dataset from covboard.config.json. Given a cached copy of it, the file is
+  // only downloaded when the server reports a change, and the copy is used
+  // when it is unchanged or the server can't be reached. Servers that ignore
+  // conditional requests send the whole file, and its content hash then
+  // finds the copy again.
+  const loadRemoteDataset = async (source, cached = null) => {
+    const loadId = beginLoad();
+    const controller = new AbortController();
+    cancelLoadRef.current = () => controller.abort();
+    setRemoteSource(source);
+    try {
+      let response;
+      let url;
+      if (cached) {
+        url = cached.info.origin;
+        response = await fetchIfChanged(cachedVersion(cached), controller.signal);
+        if (loadId !== loadIdRef.current) return;
+        if (!response) {
+          restoreRemoteCopy(cached);
+          return;
+        }
+      } else {
+        // The default file may be shipped compressed; the first one found is used
+        ({ response, url } = await fetchFirstAvailable(source.urls, controller.signal));
       }
+      const blob = await readResponse(response, (progress) => {
+        if (loadId !== loadIdRef.current) return;
+        setLoadProgress({ phase: 'download', ...progress });
+      });
+      if (loadId !== loadIdRef.current) return;
+      cancelLoadRef.current = null;
+      setLoadProgress(null);
+      remoteVersionRef.current = readVersion(response, url);
+      setPendingRefresh(null);
+
+      unpackAndRead(new File([blob], url.split('/').pop()), 'primary', loadId, url);
+    } catch (error) {
+      if (loadId !== loadIdRef.current) return;
+      cancelLoadRef.current = null;
+      if (cached) {
+        // Offline or the server is down: the cached copy is the best there is
+        console.error('Could not check for a new version, using the cached copy:', error);
+        restoreRemoteCopy(cached);
+        return;
+      }
+      console.error('Error loading file:', error);
+      setError(`Failed to load ${source.name}: ${error.message}`);
+      setLoadProgress(null);
+      setLoading(false);
+    }
+  };
+
+  // The server file a cached dataset was read from, as a remoteVersionRef value
+  const cachedVersion = ({ info }) => ({
+    url: info.origin,
+    etag: info.etag || null,
+    lastModified: info.lastModified || null,
+    hash: info.hash
+  });
+
+  // Reopen the cached copy of a server file, which later checks compare against
+  const restoreRemoteCopy = (cached) => {
+    remoteVersionRef.current = cachedVersion(cached);
+    restoreCachedDataset(cached);
+  };
+
+  // A local file or cached dataset replaced the server one
+  const forgetRemoteSource = () => {
+    setRemoteSource(null);
+    writeDataParam(null);
+    remoteVersionRef.current = null;
+    setPendingRefresh(null);
+  };
+
+  // Unpack a fetched file without asking anything: a zip archive must hold
+  // one file, or the file that is open now. Resolves to { file, hashed },
+  // hashed being what a load caches it under (a gzip file before it is
+  // decompressed).
+  const unpackQuietly = async (file) => {
+    const compression = await sniffCompression(file);
+    if (compression === 'gzip') {
+      const { file: unpacked } = await unpackQuietly(await gunzipFile(file));
+      return { file: unpacked, hashed: file };
+    }
+    if (compression === 'zip') {
+      const entries = await listZipEntries(file);
+      const entry = entries.length === 1
+        ? entries[0]
+        : entries.find(candidate => candidate.name.split('/').pop() === dataSource);
+      if (!entry) throw new Error(`can't tell which file in ${file.name} to load`);
+      return unpackQuietly(await extractZipEntry(file, entry));
+    }
+    return { file, hashed: file };
+  };
+
+  // Look for a new version of the server dataset without touching the
+  // dashboard. A changed file is read and aggregated in the background and
+  // offered in a banner; failures are only logged, the next check retries.
+  const checkForUpdate = async () => {
+    const version = remoteVersionRef.current;
+    if (!remoteSource || !version || checkingRef.current) return;
+    checkingRef.current = true;
+    const loadId = loadIdRef.current;
+    try {
+      const response = await fetchIfChanged(version);
+      if (!response || loadId !== loadIdRef.current) return;
+      const latest = readVersion(response, version.url);
+      const { file, hashed } = await unpackQuietly(new File([await response.blob()], version.url.split('/').pop()));
+      const hash = await hashContent([hashed]);
+      if (loadId !== loadIdRef.current) return;
+      remoteVersionRef.current = { ...latest, hash };
+      // Same content under new validators, e.g. the file was only touched
+      if (hash === (version.hash || activeHash)) {
+        saveCachedVersion(hash, latest).catch(error => console.error('Could not cache dataset:', error));
+        return;
+      }
+
+      const { rows, fields, converted } = await readDataRows(file).result;
+      if (loadId !== loadIdRef.current) return;
+      pendingRefreshRef.current = { hash, origin: version.url };
+      prepareDataset(rows, fields, file.name, { converted, target: 'refresh' });
+    } catch (error) {
+      console.error('Error checking for a new version:', error);
+    } finally {
+      checkingRef.current = false;
+    }
+  };
+  checkForUpdateRef.current = checkForUpdate;
+
+  const showRefresh = () => {
+    const { rows, aggregates, sourceName, validation, hash, origin } = pendingRefresh;
+    setPendingRefresh(null);
+    setData(rows);
+    applyAggregates(aggregates);
+    setDataSource(sourceName);
+    setSchemaIssues(validation.ok ? null : validation);
+    setJoinSummary(null);
+    setAppendSummary(null);
+    storeInCache({
+      hash,
+      name: sourceName,
+      origin,
+      rows,
+      aggregates,
+      issues: validation.ok ? null : validation,
+      ...serverValidators(origin)
     });
-    
-    const sortedMonths = Object.entries(monthCounts)
-      .sort((a, b) => a[0].localeCompare(b[0]));
+  };
 
-    setTemporalData({
-      labels: sortedMonths.map(([month]) => month),
+  const changeAutoRefresh = (changes) => {
+    const settings = { ...autoRefresh, ...changes };
+    setAutoRefresh(settings);
+    saveAutoRefreshSettings(settings);
+  };
+
+  useEffect(() => {
+    if (!autoRefresh.enabled || !remoteSource) return undefined;
+    const timer = setInterval(() => checkForUpdateRef.current(), autoRefresh.minutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [autoRefresh, remoteSource]);
+
+  const switchRemoteDataset = (id) => {
+    writeDataParam(id);
+    loadRemoteDataset(resolveDataSource(dataConfig, id));
+  };
+
+  // A dataset named in the address bar is downloaded; otherwise reopen the
+  // dataset used last from the cache, falling back to the configured default
+  // or df_cleaned.csv. A cached server file is only reused once the server
+  // confirms it is current, or can't be reached.
+  useEffect(() => {
+    const restoreOrFetch = async () => {
+      refreshCachedDatasets();
+      const requested = readDataParam();
+
+      let config = null;
+      try {
+        config = await loadDataConfig();
+        setDataConfig(config);
+      } catch (error) {
+        // Only a config that is there but invalid gets here; an unreachable
+        // one counts as none so the cached dataset still opens offline
+        console.error('Error reading config:', error);
+        setError(error.message);
+        setLoading(false);
+        return;
+      }
+
+      const hash = requested ? null : getActiveDatasetHash();
+      if (hash) {
+        const loadId = beginLoad();
+        try {
+          const cached = await loadCachedDataset(hash);
+          if (cached && loadId === loadIdRef.current) {
+            const source = resolveDataSource(config, null);
+            if (source.urls.includes(cached.info.origin)) {
+              loadRemoteDataset(source, cached);
+            } else {
+              // A local file or a join or append: nothing to check it against
+              restoreCachedDataset(cached);
+            }
+            return;
+          }
+        } catch (error) {
+          console.error('Dataset cache unavailable:', error);
+        }
+        if (loadId !== loadIdRef.current) return;
+      }
+      loadRemoteDataset(resolveDataSource(config, requested));
+    };
+
+    restoreOrFetch();
+  }, []);
+
+  const getAnalytics = () => {
+    if (!analyticsRef.current) analyticsRef.current = createAnalyticsEngine();
+    return analyticsRef.current;
+  };
+
+  useEffect(() => () => {
+    if (analyticsRef.current) analyticsRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+
+  // Monthly sample counts for the timeline charts, from countByMonth
+  const buildTemporalData = (months) => {
+    return {
+      labels: months.map(({ month }) => month),
       datasets: [
         {
           label: 'Sample Count',
-          data: sortedMonths.map(([, count]) => count),
+          data: months.map(({ count }) => count),
           fill: true,
           backgroundColor: 'rgba(75, 192, 192, 0.2)',
           borderColor: 'rgba(75, 192, 192, 1)',
           tension: 0.4,
         },
       ],
-    });
+    };
+  };
 
-    // Process gender data
-    const genderCounts = {};
-    data.forEach(row => {
-      if (row.sex) {
-        const gender = typeof row.sex === 'string' ? row.sex.trim() : String(row.sex);
-        if (gender) {
-          genderCounts[gender] = (genderCounts[gender] || 0) + 1;
-        }
-      }
+  // Everything the stats cards and overview charts show, as one object so it
+  // can be cached alongside the rows. The numbers are worked out by the
+  // analytics worker; this only shapes them for Chart.js. Resolves to null
+  // when a later dataset superseded this one.
+  const computeAggregates = async (data, engine = getAnalytics()) => {
+    const results = await engine.compute('aggregates', data, {
+      summarizeDataset: {},
+      countLineages: { limit: 10 },
+      countByMonth: {},
+      countSexes: {},
+      countAgeGroups: {}
     });
+    if (!results) return null;
+    const aggregates = {};
+
+    const stats = results.summarizeDataset;
+    aggregates.stats = {
+      ...stats,
+      avgMutations: stats.avgMutations > 0 ? stats.avgMutations.toFixed(1) : 0
+    };
 
-    setGenderData({
-      labels: Object.keys(genderCounts),
+    const lineages = results.countLineages;
+    aggregates.variantData = {
+      labels: lineages.map(({ lineage }) => lineage),
+      datasets: [
+        {
+          label: 'Sample Count',
+          data: lineages.map(({ count }) => count),
+          backgroundColor: lineages.map((_, i) => COLORS[i % COLORS.length]),
+          borderWidth: 1,
+        },
+      ],
+    };
+
+    aggregates.temporalData = buildTemporalData(results.countByMonth);
+
+    const sexes = results.countSexes;
+    aggregates.genderData = {
+      labels: sexes.map(({ sex }) => sex),
       datasets: [
         {
           label: 'Gender Distribution',
-          data: Object.values(genderCounts),
+          data: sexes.map(({ count }) => count),
           backgroundColor: [
             'rgba(54, 162, 235, 0.8)',
             'rgba(255, 99, 132, 0.8)',
@@ -210,222 +1135,221 @@ const CovBoard = () => {
           borderWidth: 1,
         },
       ],
-    });
+    };
 
-    // Process age data
-    const ages = [];
-    data.forEach(row => {
-      if (row.age !== undefined && row.age !== null && !isNaN(row.age)) {
-        ages.push(parseFloat(row.age));
-      }
-    });
-    
-    if (ages.length > 0) {
-      const ageRanges = [
-        '0-9', '10-19', '20-29', '30-39', '40-49', 
-        '50-59', '60-69', '70-79', '80-89', '90+'
-      ];
-      
-      const ageCounts = ageRanges.map(range => {
-        const [min, max] = range.split('-');
-        if (max) {
-          const minVal = parseInt(min);
-          const maxVal = parseInt(max);
-          return ages.filter(age => age >= minVal && age <= maxVal).length;
-        } else {
-          const minVal = parseInt(range.replace('+', ''));
-          return ages.filter(age => age >= minVal).length;
-        }
-      });
+    // An empty list clears ages left over from a previously loaded file
+    const ageGroups = results.countAgeGroups;
+    aggregates.ageData = {
+      labels: ageGroups.map(({ group }) => group),
+      datasets: [
+        {
+          label: 'Age Distribution',
+          data: ageGroups.map(({ count }) => count),
+          backgroundColor: 'rgba(153, 102, 255, 0.6)',
+          borderWidth: 1,
+        },
+      ],
+    };
 
-      setAgeData({
-        labels: ageRanges,
-        datasets: [
-          {
-            label: 'Age Distribution',
-            data: ageCounts,
-            backgroundColor: 'rgba(153, 102, 255, 0.6)',
-            borderWidth: 1,
-          },
-        ],
-      });
-    }
+    return aggregates;
   };
 
+  const applyAggregates = (aggregates) => {
+    setStats(aggregates.stats);
+    setVariantData(aggregates.variantData);
+    setTemporalData(aggregates.temporalData);
+    setGenderData(aggregates.genderData);
+    setAgeData(aggregates.ageData);
+  };
 
-const processMutationData = (data) => {
-  // Process mutation data for analysis
-  const mutationCounts = {};
-  const lineageMutations = {};
-  
-  // Count mutations across all samples
-  data.forEach(row => {
-    if (row.substitutions) {
-      // Split mutations if they're in a comma-separated string
-      const mutations = typeof row.substitutions === 'string' 
-        ? row.substitutions.split(',').map(m => m.trim()) 
-        : Array.isArray(row.substitutions) ? row.substitutions : [];
-      
-      // Count each mutation
-      mutations.forEach(mutation => {
-        if (mutation) {
-          mutationCounts[mutation] = (mutationCounts[mutation] || 0) + 1;
-          
-          // Track mutations by lineage
-          if (row.pango_lineage) {
-            if (!lineageMutations[row.pango_lineage]) {
-              lineageMutations[row.pango_lineage] = {};
-            }
-            lineageMutations[row.pango_lineage][mutation] = 
-              (lineageMutations[row.pango_lineage][mutation] || 0) + 1;
-          }
-        }
-      });
-    }
-  });
-  
-  // Get top mutations
-  const topMutations = Object.entries(mutationCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 15);
-  
-  // Prepare data for mutation frequency chart
-  const mutationFreqData = {
-    labels: topMutations.map(([mutation]) => mutation),
-    datasets: [
-      {
-        label: 'Frequency',
-        data: topMutations.map(([, count]) => count),
-        backgroundColor: 'rgba(75, 192, 192, 0.6)',
-        borderWidth: 1
-      }
-    ]
+  const processData = async (data) => {
+    const aggregates = await computeAggregates(data);
+    if (aggregates) applyAggregates(aggregates);
+    return aggregates;
   };
-  
-  // Prepare data for spike protein mutations
-  const spikeMutations = Object.entries(mutationCounts)
-    .filter(([mutation]) => mutation.startsWith('S:'))
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  const spikeData = {
-    labels: spikeMutations.map(([mutation]) => mutation),
-    datasets: [
-      {
-        label: 'Spike Protein Mutations',
-        data: spikeMutations.map(([, count]) => count),
-        backgroundColor: 'rgba(153, 102, 255, 0.6)',
-        borderWidth: 1
-      }
-    ]
+
+  // Ask the worker for a tab's analyses of the open dataset; a newer request
+  // for the same view replaces this one
+  const requestAnalysis = async (view, analyses) => {
+    const rows = data;
+    try {
+      const results = await getAnalytics().compute(view, rows, analyses);
+      if (results) setAnalysis(prev => ({ ...prev, [view]: { rows, results } }));
+    } catch (error) {
+      console.error(`Error computing ${view}:`, error);
+    }
   };
-  
-  // Calculate mutation burden by lineage
-  const lineageBurdenData = {
-    labels: [],
-    datasets: [
-      {
-        label: 'Average Mutations',
-        data: [],
-        backgroundColor: 'rgba(54, 162, 235, 0.6)',
-        borderWidth: 1
-      }
-    ]
+
+  // A view's results, or null while they are being computed
+  const analysisOf = (view) => {
+    const entry = analysis[view];
+    return entry && entry.rows === data ? entry.results : null;
   };
-  
-  // Get top 10 lineages by sample count
-  const lineageCounts = {};
-  data.forEach(row => {
-    if (row.pango_lineage) {
-      lineageCounts[row.pango_lineage] = (lineageCounts[row.pango_lineage] || 0) + 1;
-    }
-  });
-  
-  const topLineages = Object.entries(lineageCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([lineage]) => lineage);
-  
-  // Calculate average mutation burden for each top lineage
-  topLineages.forEach(lineage => {
-    const lineageSamples = data.filter(row => row.pango_lineage === lineage);
-    let totalMutations = 0;
-    let samplesWithMutations = 0;
-    
-    lineageSamples.forEach(sample => {
-      if (sample.totalSubstitutions !== undefined && !isNaN(sample.totalSubstitutions)) {
-        totalMutations += sample.totalSubstitutions;
-        samplesWithMutations++;
-      }
-    });
-    
-    if (samplesWithMutations > 0) {
-      lineageBurdenData.labels.push(lineage);
-      lineageBurdenData.datasets[0].data.push(
-        parseFloat((totalMutations / samplesWithMutations).toFixed(2))
-      );
-    }
-  });
-  
-  // Prepare mutation correlation data (which mutations appear together)
-  const mutationCorrelation = {};
-  const topMutationNames = topMutations.map(([mutation]) => mutation);
-  
-  topMutationNames.forEach(mutation => {
-    mutationCorrelation[mutation] = {};
-    
-    topMutationNames.forEach(otherMutation => {
-      if (mutation !== otherMutation) {
-        mutationCorrelation[mutation][otherMutation] = 0;
-      }
-    });
-  });
-  
-  // Count co-occurrences
-  data.forEach(row => {
-    if (row.substitutions) {
-      const mutations = typeof row.substitutions === 'string' 
-        ? row.substitutions.split(',').map(m => m.trim()) 
-        : Array.isArray(row.substitutions) ? row.substitutions : [];
-      
-      // Find all combinations of mutations that co-occur
-      for (let i = 0; i < mutations.length; i++) {
-        const mutation1 = mutations[i];
-        if (topMutationNames.includes(mutation1)) {
-          for (let j = i + 1; j < mutations.length; j++) {
-            const mutation2 = mutations[j];
-            if (topMutationNames.includes(mutation2)) {
-              mutationCorrelation[mutation1][mutation2] = 
-                (mutationCorrelation[mutation1][mutation2] || 0) + 1;
-              mutationCorrelation[mutation2][mutation1] = 
-                (mutationCorrelation[mutation2][mutation1] || 0) + 1;
-            }
+
+
+  // Mutation tab charts, shaped for Chart.js from analyzeMutations
+  const processMutationData = ({ top, spike, burden, cooccurrence }) => {
+    return {
+      mutationFreqData: {
+        labels: top.map(({ mutation }) => mutation),
+        datasets: [
+          {
+            label: 'Frequency',
+            data: top.map(({ count }) => count),
+            backgroundColor: 'rgba(75, 192, 192, 0.6)',
+            borderWidth: 1
           }
-        }
-      }
-    }
-  });
-  
-  return {
-    mutationFreqData,
-    spikeData,
-    lineageBurdenData,
-    mutationCorrelation,
-    topMutations,
-    topMutationNames
+        ]
+      },
+      spikeData: {
+        labels: spike.map(({ mutation }) => mutation),
+        datasets: [
+          {
+            label: 'Spike Protein Mutations',
+            data: spike.map(({ count }) => count),
+            backgroundColor: 'rgba(153, 102, 255, 0.6)',
+            borderWidth: 1
+          }
+        ]
+      },
+      lineageBurdenData: {
+        labels: burden.map(({ lineage }) => lineage),
+        datasets: [
+          {
+            label: 'Average Mutations',
+            data: burden.map(({ average }) => parseFloat(average.toFixed(2))),
+            backgroundColor: 'rgba(54, 162, 235, 0.6)',
+            borderWidth: 1
+          }
+        ]
+      },
+      mutationCorrelation: cooccurrence,
+      topMutations: top.map(({ mutation, count }) => [mutation, count]),
+      topMutationNames: top.map(({ mutation }) => mutation)
+    };
   };
-};
 
+  const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ];
 
+  // Stacked monthly lineage shares for the Lineages Over Time chart
+  const buildLineageShareData = ({ months, series }) => {
+    return {
+      labels: months.map(month => MONTH_NAMES[parseInt(month.split('-')[1]) - 1]),
+      datasets: series.map(({ lineage, shares }, index) => ({
+        label: lineage,
+        data: shares,
+        backgroundColor: COLORS[index % COLORS.length],
+        stack: 'Stack 0',
+      }))
+    };
+  };
 
+  const buildProteinData = (proteins) => {
+    return {
+      labels: proteins.map(({ protein }) => protein),
+      datasets: [
+        {
+          label: 'Mutation Count',
+          data: proteins.map(({ count }) => count),
+          backgroundColor: proteins.map((_, i) => COLORS[i % COLORS.length]),
+          borderWidth: 1,
+        }
+      ]
+    };
+  };
+
+  // Monthly samples carrying each of the most common mutations
+  const buildMutationTimelineData = ({ months, series }) => {
+    return {
+      labels: months,
+      datasets: series.map(({ mutation, counts }, index) => ({
+        label: mutation,
+        data: counts,
+        backgroundColor: COLORS[index % COLORS.length],
+        borderColor: COLORS[index % COLORS.length],
+        fill: false,
+        tension: 0.4
+      }))
+    };
+  };
+
+  // Tab analyses run in the worker whenever the dataset or a date setting
+  // changes, so switching tabs and settings never blocks the page. The worker
+  // keeps results per dataset, so only changed options are recomputed.
+  useEffect(() => {
+    if (data.length > 0) requestAnalysis('lineageDetails', { describeLineages: {} });
+  }, [data]);
 
+  useEffect(() => {
+    if (data.length > 0) requestAnalysis('mutations', { analyzeMutations: {}, countMutationsByProtein: {} });
+  }, [data]);
 
+  useEffect(() => {
+    if (data.length > 0) requestAnalysis('mutationTimeline', { mutationTimeline: { top: 5, imprecise: impreciseDates.mutations } });
+  }, [data, impreciseDates.mutations]);
 
+  useEffect(() => {
+    if (data.length > 0) requestAnalysis('lineageShares', { lineageSharesByMonth: { top: 8, imprecise: impreciseDates.lineages } });
+  }, [data, impreciseDates.lineages]);
 
+  // The cached timeline leaves imprecise dates out; it is counted again when
+  // the user asks for them to be assigned instead
+  useEffect(() => {
+    if (data.length > 0 && impreciseDates.timeline === 'assign') {
+      requestAnalysis('timeline', { countByMonth: { imprecise: 'assign' } });
+    }
+  }, [data, impreciseDates.timeline]);
 
+  useEffect(() => {
+    if (data.length > 0) {
+      requestAnalysis('impactCounts', { countMutations: { mutations: KEY_MUTATION_IMPACTS.map(({ mutation }) => mutation) } });
+    }
+  }, [data]);
 
+  // Scans of the whole dataset, redone only when it or the selection changes
+  const impreciseDateCount = useMemo(() => countImpreciseDates(data, 'month'), [data]);
 
+  // Rows of the samples selected in the tree, found by strain name so the
+  // selection survives joins and appends
+  const selectedRows = useMemo(() => {
+    if (!treeSelection) return null;
+    const column = findSequenceNameColumn(data);
+    return column
+      ? data.filter(row => row[column] && treeSelection.names.has(normalizeSequenceName(row[column])))
+      : [];
+  }, [data, treeSelection]);
 
+  // Columns of the lineage table, every lineage; the ten in the chart keep
+  // their colour. Kept between renders so the table doesn't sort again.
+  const lineageColumns = useMemo(() => [
+    {
+      key: 'lineage',
+      label: 'Lineage',
+      render: (row) => {
+        const index = variantData.labels.indexOf(row.lineage);
+        return (
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <div style={{
+              width: '12px',
+              height: '12px',
+              flexShrink: 0,
+              backgroundColor: index >= 0 ? COLORS[index % COLORS.length] : '#e2e8f0',
+              marginRight: '0.5rem',
+              borderRadius: '2px'
+            }}></div>
+            {row.lineage}
+          </div>
+        );
+      }
+    },
+    { key: 'count', label: 'Sample Count', align: 'right' },
+    { key: 'share', label: 'Percentage', align: 'right', value: (row) => Number(row.share.toFixed(1)), render: (row) => `${row.share.toFixed(1)}%` },
+    { key: 'first', label: 'First Detected', render: (row) => row.first || 'Unknown' },
+    { key: 'last', label: 'Last Detected', render: (row) => row.last || 'Unknown' }
+  ], [variantData.labels]);
 
   if (loading) {
     return (
@@ -439,24 +1363,174 @@ const processMutationData = (data) => {
         <div style={{ fontSize: '1.5rem', fontWeight: 600, marginBottom: '1rem' }}>
           Loading COVID-19 Genomic Data...
         </div>
-        <div style={{ 
-          width: '4rem', 
-          height: '4rem', 
-          borderRadius: '50%', 
-          border: '0.25rem solid #f3f3f3', 
-          borderTop: '0.25rem solid #3498db', 
-          animation: 'spin 1s linear infinite' 
-        }}></div>
+        {loadProgress ? (() => {
+          const { phase, bytes, totalBytes, rows, done, total } = loadProgress;
+          // Content-Length can describe the compressed transfer, so it may undercount
+          // Aligning and decoding count items rather than bytes
+          const counted = phase === 'align' || phase === 'decode';
+          const percent = counted
+            ? (total > 0 ? (done / total) * 100 : null)
+            : (totalBytes > 0 && bytes <= totalBytes ? (bytes / totalBytes) * 100 : null);
+          return (
+            <div style={{ width: '24rem', maxWidth: '90vw', textAlign: 'center' }}>
+              <div style={{ 
+                height: '0.75rem', 
+                backgroundColor: '#e2e8f0', 
+                borderRadius: '9999px', 
+                overflow: 'hidden',
+                marginBottom: '0.5rem'
+              }}>
+                <div style={{ 
+                  width: percent !== null ? `${percent}%` : '100%', 
+                  height: '100%', 
+                  backgroundColor: phase === 'download' ? '#83a6ed' : '#5a67d8',
+                  opacity: percent !== null ? 1 : 0.4,
+                  transition: 'width 0.2s ease'
+                }}></div>
+              </div>
+              {counted ? (
+                <div style={{ fontSize: '0.875rem', color: '#4a5568' }}>
+                  {phase === 'align' ? 'Aligning to NC_045512.2' : 'Reading columns'}: {done.toLocaleString()}
+                  {total > 0 && ` of ${total.toLocaleString()}`} {phase === 'align' ? 'sequences' : 'rows'}
+                </div>
+              ) : (
+                <div style={{ fontSize: '0.875rem', color: '#4a5568' }}>
+                  {{ download: 'Downloading', decompress: 'Decompressing', parse: 'Parsing' }[phase]}: {formatBytes(bytes)}
+                  {totalBytes > 0 && ` of ${formatBytes(totalBytes)}`}
+                  {percent !== null && ` (${percent.toFixed(0)}%)`}
+                </div>
+              )}
+              {phase === 'parse' && (
+                <div style={{ fontSize: '0.875rem', color: '#4a5568' }}>
+                  {rows.toLocaleString()} rows parsed
+                </div>
+              )}
+            </div>
+          );
+        })() : (
+          <div style={{ 
+            width: '4rem', 
+            height: '4rem', 
+            borderRadius: '50%', 
+            border: '0.25rem solid #f3f3f3', 
+            borderTop: '0.25rem solid #3498db', 
+            animation: 'spin 1s linear infinite' 
+          }}></div>
+        )}
+        <button
+          onClick={cancelLoad}
+          style={{
+            marginTop: '1rem',
+            padding: '0.375rem 1rem',
+            fontWeight: 500,
+            backgroundColor: 'white',
+            color: '#e53e3e',
+            border: '1px solid #e53e3e',
+            borderRadius: '0.375rem',
+            cursor: 'pointer'
+          }}
+        >
+          Cancel
+        </button>
         <style>{`
           @keyframes spin {
             0% { transform: rotate(0deg); }
             100% { transform: rotate(360deg); }
           }
         `}</style>
+        <div style={{ marginTop: '2rem' }}>
+          <DataLoader onFiles={loadFiles} accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.ndjson,.jsonl,.parquet,.arrow,.arrows,.feather,.ipc,.gz,.zip" label="Or drop a local CSV file here" />
+        </div>
       </div>
     );
   }
 
+  if (pendingDataset) {
+    return (
+      <ColumnMapper
+        sourceName={pendingDataset.sourceName}
+        fields={pendingDataset.fields}
+        rows={pendingDataset.rows}
+        initialMapping={pendingDataset.mapping}
+        onApply={applyPendingMapping}
+        onCancel={cancelPendingMapping}
+      />
+    );
+  }
+
+  // Datasets from covboard.config.json, if it lists any
+  const renderDatasetPicker = () => dataConfig && dataConfig.datasets.length > 0 && (
+    <label style={{ fontSize: '0.75rem', color: '#4a5568' }}>
+      Project dataset:{' '}
+      <select
+        value={remoteSource && remoteSource.id ? remoteSource.id : ''}
+        onChange={(e) => switchRemoteDataset(e.target.value)}
+        style={{ fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0' }}
+      >
+        {!(remoteSource && remoteSource.id) && <option value="" disabled>Choose a dataset</option>}
+        {dataConfig.datasets.map(dataset => (
+          <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  // Progress or failure of the comparison load, under its control
+  const renderComparisonStatus = () => {
+    if (!comparisonLoad) return null;
+    const { fileName, pending, progress, error: loadError } = comparisonLoad;
+    const counted = progress && (progress.phase === 'align' || progress.phase === 'decode');
+    return (
+      <div style={{ fontSize: '0.75rem', textAlign: 'right', color: loadError ? '#9b2c2c' : '#4a5568' }}>
+        {pending ? (
+          <>
+            Loading {fileName} to compare...
+            {progress && (counted
+              ? ` ${progress.done.toLocaleString()}${progress.total > 0 ? ` of ${progress.total.toLocaleString()}` : ''}`
+              : ` ${formatBytes(progress.bytes)}`)}
+          </>
+        ) : (
+          <>Could not compare with {fileName}: {loadError}</>
+        )}
+        {' '}
+        <button
+          onClick={pending ? cancelComparisonLoad : () => setComparisonLoad(null)}
+          style={{ background: 'none', border: 'none', padding: 0, color: 'inherit', cursor: 'pointer', fontSize: '0.75rem', fontWeight: 600 }}
+        >
+          {pending ? 'Cancel' : 'Dismiss'}
+        </button>
+      </div>
+    );
+  };
+
+  // Opt-in polling of the server dataset
+  const renderAutoRefreshControl = () => remoteSource && (
+    <div style={{ fontSize: '0.75rem', color: '#4a5568', textAlign: 'right' }}>
+      <label>
+        <input
+          type="checkbox"
+          checked={autoRefresh.enabled}
+          onChange={(e) => changeAutoRefresh({ enabled: e.target.checked })}
+        />
+        {' '}Check {remoteSource.name} for updates every{' '}
+      </label>
+      <select
+        value={autoRefresh.minutes}
+        onChange={(e) => changeAutoRefresh({ minutes: Number(e.target.value) })}
+        style={{ fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0' }}
+      >
+        {REFRESH_INTERVALS.map(minutes => (
+          <option key={minutes} value={minutes}>{minutes} min</option>
+        ))}
+      </select>
+      {autoRefresh.enabled && remoteVersionRef.current && !canDetectChanges(remoteVersionRef.current) && (
+        <div style={{ color: '#975a16' }}>
+          The server sends no ETag or Last-Modified header, so every check downloads the whole file.
+        </div>
+      )}
+    </div>
+  );
+
   if (error) {
     return (
       <div style={{ 
@@ -470,10 +1544,113 @@ const processMutationData = (data) => {
           Error: {error}
         </div>
         <div>Please check if your CSV file is properly formatted</div>
+        <div style={{ marginTop: '1.5rem' }}>
+          <DataLoader onFiles={loadFiles} accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.ndjson,.jsonl,.parquet,.arrow,.arrows,.feather,.ipc,.gz,.zip" label="Drop a different CSV file here" />
+        </div>
+        <div style={{ marginTop: '1rem' }}>
+          {renderDatasetPicker()}
+        </div>
       </div>
     );
   }
 
+  if (pendingZip) {
+    return (
+      <ZipEntryPicker
+        archiveName={pendingZip.archive.name}
+        entries={pendingZip.entries}
+        onPick={pickZipEntry}
+        onCancel={cancelZipPicker}
+      />
+    );
+  }
+
+  if (pendingAppend) {
+    return (
+      <AppendPreview
+        sourceName={dataSource}
+        batchNames={pendingAppend.sourceNames}
+        rows={data}
+        batchRows={pendingAppend.rows}
+        failures={pendingAppend.failures}
+        onApply={applyAppend}
+        onCancel={() => setPendingAppend(null)}
+      />
+    );
+  }
+
+  // Tab charts from the worker, null until their results arrive. The
+  // timeline keeps showing the cached counts until the assigned ones do.
+  const mutationResults = analysisOf('mutations');
+  const mutationData = mutationResults && processMutationData(mutationResults.analyzeMutations);
+  const proteinData = mutationResults && buildProteinData(mutationResults.countMutationsByProtein);
+  const mutationTimelineResults = analysisOf('mutationTimeline');
+  const mutationTimelineData = mutationTimelineResults && buildMutationTimelineData(mutationTimelineResults.mutationTimeline);
+  const lineageDetailResults = analysisOf('lineageDetails');
+  const lineageDetails = lineageDetailResults && lineageDetailResults.describeLineages;
+  const lineageShareResults = analysisOf('lineageShares');
+  const lineageShareData = lineageShareResults && buildLineageShareData(lineageShareResults.lineageSharesByMonth);
+  const assignedTimeline = impreciseDates.timeline === 'assign' && analysisOf('timeline');
+  const timelineData = assignedTimeline ? buildTemporalData(assignedTimeline.countByMonth) : temporalData;
+  const impactCountResults = analysisOf('impactCounts');
+  const impactRows = impactCountResults
+    ? KEY_MUTATION_IMPACTS.map((impact, i) => ({ ...impact, samples: impactCountResults.countMutations[i].count }))
+    : KEY_MUTATION_IMPACTS;
+
+  // Add the tree selection to a chart as an extra dataset. keysOf gives the
+  // label (or labels) a row is counted under.
+  const highlightSelection = (chartData, keysOf) => {
+    if (!selectedRows) return chartData;
+    const counts = {};
+    selectedRows.forEach(row => {
+      [].concat(keysOf(row) || []).forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+    return {
+      ...chartData,
+      datasets: [
+        ...chartData.datasets,
+        {
+          label: `Selected: ${treeSelection.label}`,
+          data: chartData.labels.map(label => counts[label] || 0),
+          backgroundColor: 'rgba(229, 62, 62, 0.7)',
+          borderColor: 'rgba(229, 62, 62, 1)',
+          borderWidth: 1,
+          fill: false,
+          tension: 0.4,
+        },
+      ],
+    };
+  };
+
+  // Choice of how one monthly chart handles year-only dates, shown only when
+  // the dataset has some
+  const renderImpreciseDateControl = (chart) => impreciseDateCount > 0 && (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem', fontSize: '0.75rem', color: '#4a5568' }}>
+      <span>{impreciseDateCount} samples have only a year:</span>
+      <select
+        value={impreciseDates[chart]}
+        onChange={(e) => {
+          const value = e.target.value;
+          setImpreciseDates(prev => ({ ...prev, [chart]: value }));
+        }}
+        style={{ fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0' }}
+      >
+        {IMPRECISE_DATE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Stand-in for a chart whose numbers the worker is still computing
+  const renderCalculating = () => (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', color: '#718096' }}>
+      Calculating…
+    </div>
+  );
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -495,20 +1672,308 @@ const processMutationData = (data) => {
       fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial'
     }}>
       {/* Dashboard Header */}
-      <div style={{ marginBottom: '1.5rem' }}>
-        <h1 style={{ 
-          fontSize: '1.5rem', 
-          fontWeight: 'bold', 
-          color: '#1a202c', 
-          marginBottom: '0.5rem' 
-        }}>
-          CovBoard: COVID-19 Genomic Dashboard
-        </h1>
-        <p style={{ color: '#4a5568' }}>
-          Analyze and visualize SARS-CoV-2 variant data across time, geography, and genetic characteristics
-        </p>
+      <div style={{ 
+        display: 'flex', 
+        flexWrap: 'wrap', 
+        justifyContent: 'space-between', 
+        alignItems: 'flex-start', 
+        gap: '1rem', 
+        marginBottom: '1.5rem' 
+      }}>
+        <div>
+          <h1 style={{ 
+            fontSize: '1.5rem', 
+            fontWeight: 'bold', 
+            color: '#1a202c', 
+            marginBottom: '0.5rem' 
+          }}>
+            CovBoard: COVID-19 Genomic Dashboard
+          </h1>
+          <p style={{ color: '#4a5568' }}>
+            Analyze and visualize SARS-CoV-2 variant data across time, geography, and genetic characteristics
+          </p>
+          {dataSource && (
+            <p style={{ color: '#718096', fontSize: '0.875rem', marginTop: '0.25rem' }}>
+              Dataset: <strong>{dataSource}</strong>
+              {comparison && <> compared with <strong>{comparison.sourceName}</strong></>}
+              {' '}
+              <button
+                onClick={() => setShowDatasetManager(!showDatasetManager)}
+                style={{ 
+                  background: 'none', 
+                  border: 'none', 
+                  padding: 0, 
+                  color: '#5a67d8', 
+                  cursor: 'pointer', 
+                  fontSize: '0.875rem' 
+                }}
+              >
+                Cached datasets ({cachedDatasets.length})
+              </button>
+            </p>
+          )}
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', alignItems: 'stretch' }}>
+          {renderDatasetPicker()}
+          {renderAutoRefreshControl()}
+          <DataLoader onFiles={loadFiles} compact accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.ndjson,.jsonl,.parquet,.arrow,.arrows,.feather,.ipc,.gz,.zip" label="Load another CSV" />
+          <DataLoader onFiles={appendFiles} compact accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.ndjson,.jsonl,.parquet,.arrow,.arrows,.feather,.ipc,.gz,.zip" label="Append new batch" />
+          <DataLoader onFiles={loadComparisonFiles} compact accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.ndjson,.jsonl,.parquet,.arrow,.arrows,.feather,.ipc,.gz,.zip" label={comparison ? 'Compare with a different dataset' : 'Compare with another dataset'} />
+          {renderComparisonStatus()}
+          <DataLoader onFiles={loadTreeFiles} compact accept=".json,.gz" label="Load Nextstrain tree (Auspice JSON)" />
+          <DataLoader onFiles={joinFiles} compact accept=".csv,.tsv,.txt,.json,.fasta,.fa,.fas,.fna,.vcf,.gz" label="Join Nextclade / Pangolin / FASTA / VCF results" />
+          <label style={{ fontSize: '0.75rem', color: '#4a5568', textAlign: 'right' }}>
+            Existing values:{' '}
+            <select
+              value={joinMode}
+              onChange={(e) => setJoinMode(e.target.value)}
+              style={{ fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0' }}
+            >
+              <option value="overwrite">overwrite</option>
+              <option value="fill">keep (fill gaps only)</option>
+            </select>
+          </label>
+        </div>
       </div>
+
+      {showDatasetManager && (
+        <DatasetManager
+          datasets={cachedDatasets}
+          activeHash={activeHash}
+          onOpen={openCachedDataset}
+          onRename={renameDataset}
+          onDelete={deleteDataset}
+          serverName={(remoteSource || resolveDataSource(dataConfig, readDataParam())).name}
+          onReloadDefault={() => {
+            setShowDatasetManager(false);
+            loadRemoteDataset(remoteSource || resolveDataSource(dataConfig, readDataParam()));
+          }}
+          onClose={() => setShowDatasetManager(false)}
+        />
+      )}
+
+      {/* New version of the server dataset */}
+      {pendingRefresh && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'flex-start', 
+          gap: '1rem',
+          backgroundColor: '#ebf8ff', 
+          border: '1px solid #90cdf4', 
+          borderRadius: '0.5rem', 
+          padding: '0.75rem 1rem', 
+          marginBottom: '1.5rem',
+          fontSize: '0.875rem',
+          color: '#2a4365'
+        }}>
+          <div>
+            <strong>New data in {pendingRefresh.sourceName}:</strong>
+            {' '}{pendingRefresh.summary.sampleDelta >= 0 ? '+' : ''}{pendingRefresh.summary.sampleDelta.toLocaleString()} samples,
+            {' '}{pendingRefresh.summary.newLineages.length} new {pendingRefresh.summary.newLineages.length === 1 ? 'lineage' : 'lineages'}
+            {pendingRefresh.summary.newLineages.length > 0 && ` (${pendingRefresh.summary.newLineages.slice(0, 5).join(', ')}${pendingRefresh.summary.newLineages.length > 5 ? ', …' : ''})`}.
+            {(joinSummary || appendSummary) && ' Showing it replaces the joined or appended data.'}
+          </div>
+          <div style={{ display: 'flex', gap: '0.75rem', flexShrink: 0 }}>
+            <button
+              onClick={showRefresh}
+              style={{ 
+                padding: '0.25rem 0.75rem',
+                backgroundColor: '#3182ce', 
+                color: 'white', 
+                border: 'none', 
+                borderRadius: '0.375rem', 
+                cursor: 'pointer', 
+                fontWeight: 600 
+              }}
+            >
+              Show new data
+            </button>
+            <button
+              onClick={() => setPendingRefresh(null)}
+              style={{ 
+                background: 'none', 
+                border: 'none', 
+                color: '#2a4365', 
+                cursor: 'pointer', 
+                fontWeight: 600 
+              }}
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Append Summary */}
+      {appendSummary && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'flex-start', 
+          gap: '1rem',
+          backgroundColor: '#f0fff4', 
+          border: '1px solid #9ae6b4', 
+          borderRadius: '0.5rem', 
+          padding: '0.75rem 1rem', 
+          marginBottom: '1.5rem',
+          fontSize: '0.875rem',
+          color: '#22543d'
+        }}>
+          <div>
+            <strong>Appended {appendSummary.batchNames.join(', ')}</strong> (matched on "{appendSummary.idColumn}"):
+            {' '}{appendSummary.added} rows added, {appendSummary.updated} updated,
+            {' '}{appendSummary.unchanged} already present, {appendSummary.rejected} rejected.
+            {appendSummary.conflicts > 0 && ` ${appendSummary.conflicts} updated rows kept some existing values that differ from the batch.`}
+          </div>
+          <button
+            onClick={() => setAppendSummary(null)}
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              color: '#22543d', 
+              cursor: 'pointer', 
+              fontWeight: 600 
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Annotation Join Summary */}
+      {joinSummary && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'flex-start', 
+          gap: '1rem',
+          backgroundColor: joinSummary.error ? '#fff5f5' : '#ebf8ff', 
+          border: `1px solid ${joinSummary.error ? '#feb2b2' : '#90cdf4'}`, 
+          borderRadius: '0.5rem', 
+          padding: '0.75rem 1rem', 
+          marginBottom: '1.5rem',
+          fontSize: '0.875rem',
+          color: joinSummary.error ? '#9b2c2c' : '#2a4365'
+        }}>
+          <div>
+            {joinSummary.pending && <span>Joining {joinSummary.fileName}...</span>}
+            {joinSummary.error && (
+              <span><strong>Could not join {joinSummary.fileName}:</strong> {joinSummary.error}</span>
+            )}
+            {!joinSummary.pending && !joinSummary.error && (
+              <span>
+                <strong>Joined {joinSummary.kind} results from {joinSummary.fileName}</strong> on "{joinSummary.keyColumn}":
+                {' '}{joinSummary.matched} samples matched, {joinSummary.unmatchedSamples} samples without results,
+                {' '}{joinSummary.unmatchedAnnotations} result rows with no matching sample.
+                {' '}Lineage changed for {joinSummary.changedFields.pango_lineage || 0} samples,
+                {' '}filled for {joinSummary.filledFields.pango_lineage || 0},
+                {' '}{joinSummary.unassigned} matched samples remain unassigned.
+                {Object.keys(joinSummary.changedFields).some(field => field !== 'pango_lineage') && (
+                  ` Other overwritten values: ${Object.entries(joinSummary.changedFields)
+                    .filter(([field]) => field !== 'pango_lineage')
+                    .map(([field, count]) => `${field} (${count})`)
+                    .join(', ')}.`
+                )}
+              </span>
+            )}
+          </div>
+          {!joinSummary.pending && (
+            <button
+              onClick={() => setJoinSummary(null)}
+              style={{ 
+                background: 'none', 
+                border: 'none', 
+                color: 'inherit', 
+                cursor: 'pointer', 
+                fontWeight: 600 
+              }}
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
       
+      {/* Schema Check Warnings */}
+      {schemaIssues && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'flex-start', 
+          gap: '1rem',
+          backgroundColor: '#fffaf0', 
+          border: '1px solid #fbd38d', 
+          borderRadius: '0.5rem', 
+          padding: '0.75rem 1rem', 
+          marginBottom: '1.5rem',
+          fontSize: '0.875rem',
+          color: '#744210'
+        }}>
+          <div>
+            <strong>Schema check:</strong>
+            {schemaIssues.missing.length > 0 && (
+              <span> no column for {schemaIssues.missing.map(getFieldLabel).join(', ')}.</span>
+            )}
+            {schemaIssues.empty.length > 0 && (
+              <span> no values for {schemaIssues.empty.map(getFieldLabel).join(', ')}.</span>
+            )}
+            {schemaIssues.mistyped.map(issue => (
+              <span key={issue.key}>
+                {' '}{getFieldLabel(issue.key)} ("{issue.column}") has {issue.invalid} of {issue.checked} sampled values of the wrong type.
+              </span>
+            ))}
+          </div>
+          <button
+            onClick={() => setSchemaIssues(null)}
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              color: '#744210', 
+              cursor: 'pointer', 
+              fontWeight: 600 
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* FASTA Alignment Failures */}
+      {alignmentFailures && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'flex-start', 
+          gap: '1rem',
+          backgroundColor: '#fffaf0', 
+          border: '1px solid #fbd38d', 
+          borderRadius: '0.5rem', 
+          padding: '0.75rem 1rem', 
+          marginBottom: '1.5rem',
+          fontSize: '0.875rem',
+          color: '#744210'
+        }}>
+          <div>
+            <strong>{alignmentFailures.failed.length} sequences in {alignmentFailures.fileName} could not be aligned</strong> and were left out:
+            {' '}{alignmentFailures.failed.slice(0, 5).map(({ name, reason }) => `${name} (${reason})`).join('; ')}
+            {alignmentFailures.failed.length > 5 && ` and ${alignmentFailures.failed.length - 5} more`}
+          </div>
+          <button
+            onClick={() => setAlignmentFailures(null)}
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              color: '#744210', 
+              cursor: 'pointer', 
+              fontWeight: 600 
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* Stats Overview Cards */}
       <div style={{ 
         display: 'grid', 
@@ -594,7 +2059,11 @@ const processMutationData = (data) => {
         marginBottom: '1.5rem', 
         borderBottom: '1px solid #e2e8f0' 
       }}>
-        {['overview', 'variants', 'temporal', 'demographics', 'mutations'].map(tab => (
+        {[
+          'overview', 'variants', 'temporal', 'demographics', 'mutations', 'quality',
+          ...(tree ? ['tree'] : []),
+          ...(comparison ? ['compare'] : [])
+        ].map(tab => (
           <button
             key={tab}
             style={{
@@ -612,11 +2081,46 @@ const processMutationData = (data) => {
             }}
             onClick={() => setActiveTab(tab)}
           >
-            {tab.charAt(0).toUpperCase() + tab.slice(1)}
+            {TAB_LABELS[tab] || tab.charAt(0).toUpperCase() + tab.slice(1)}
           </button>
         ))}
       </div>
 
+      {/* Tree Selection */}
+      {treeSelection && (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          gap: '1rem',
+          backgroundColor: '#fff5f5', 
+          border: '1px solid #feb2b2', 
+          borderRadius: '0.5rem', 
+          padding: '0.5rem 1rem', 
+          marginBottom: '1rem',
+          fontSize: '0.875rem',
+          color: '#742a2a'
+        }}>
+          <div>
+            <strong>Selected in the tree: {treeSelection.label}</strong>
+            {' '}({selectedRows.length} of {treeSelection.names.size} samples found in the dataset).
+            {' '}Highlighted in red in the lineage, timeline and mutation charts.
+          </div>
+          <button
+            onClick={() => setTreeSelection(null)}
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              color: '#742a2a', 
+              cursor: 'pointer', 
+              fontWeight: 600 
+            }}
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
       {/* Content Panel */}
       <div style={{ 
         backgroundColor: 'white', 
@@ -624,6 +2128,72 @@ const processMutationData = (data) => {
         padding: '1.5rem', 
         boxShadow: '0 1px 3px rgba(0,0,0,0.12)' 
       }}>
+        {/* Comparison Tab */}
+        {activeTab === 'compare' && comparison && (
+          <>
+            {comparison.issues && (
+              <div style={{ 
+                backgroundColor: '#fffaf0', 
+                border: '1px solid #fbd38d', 
+                borderRadius: '0.5rem', 
+                padding: '0.75rem 1rem', 
+                marginBottom: '1rem',
+                fontSize: '0.875rem',
+                color: '#744210'
+              }}>
+                <strong>Column check for {comparison.sourceName}:</strong>
+                {comparison.issues.missing.length > 0 && (
+                  <span> no column for {comparison.issues.missing.map(getFieldLabel).join(', ')}.</span>
+                )}
+                {comparison.issues.empty.length > 0 && (
+                  <span> no values for {comparison.issues.empty.map(getFieldLabel).join(', ')}.</span>
+                )}
+                {comparison.issues.mistyped.length > 0 && (
+                  <span> values of the wrong type in {comparison.issues.mistyped.map(issue => getFieldLabel(issue.key)).join(', ')}.</span>
+                )}
+                {' '}Panels that need these fields may be empty for this dataset.
+              </div>
+            )}
+            <ComparisonView
+              primaryName={dataSource}
+              comparisonName={comparison.sourceName}
+              primaryRows={data}
+              comparisonRows={comparison.rows}
+              onClose={closeComparison}
+            />
+          </>
+        )}
+
+        {/* Tree Tab */}
+        {activeTab === 'tree' && tree && (
+          tree.error ? (
+            <div style={{ fontSize: '0.875rem', color: '#9b2c2c' }}>
+              <strong>Could not load {tree.fileName}:</strong> {tree.error}
+              {' '}
+              <button
+                onClick={closeTree}
+                style={{ background: 'none', border: 'none', color: '#5a67d8', cursor: 'pointer', fontSize: '0.875rem' }}
+              >
+                Dismiss
+              </button>
+            </div>
+          ) : (
+            <TreeView
+              tree={tree}
+              rows={data}
+              mutationOptions={mutationData ? mutationData.topMutationNames : []}
+              selection={treeSelection}
+              onSelect={setTreeSelection}
+              onClose={closeTree}
+            />
+          )
+        )}
+
+        {/* Data Quality Tab */}
+        {activeTab === 'quality' && (
+          <DataQualityView rows={data} sourceName={dataSource} />
+        )}
+
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <div>
@@ -651,7 +2221,7 @@ const processMutationData = (data) => {
                       ...chartOptions,
                       indexAxis: 'y',
                     }} 
-                    data={variantData} 
+                    data={highlightSelection(variantData, row => row.pango_lineage)} 
                   />
                 </div>
               </div>
@@ -665,10 +2235,11 @@ const processMutationData = (data) => {
                 <h3 style={{ fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' }}>
                   Samples Over Time
                 </h3>
+                {renderImpreciseDateControl('timeline')}
                 <div style={{ height: '300px' }}>
                   <Line 
                     options={chartOptions} 
-                    data={temporalData} 
+                    data={highlightSelection(timelineData, row => periodKey(row, 'month', impreciseDates.timeline))} 
                   />
                 </div>
               </div>
@@ -782,7 +2353,7 @@ const processMutationData = (data) => {
                         }
                       }
                     }} 
-                    data={variantData} 
+                    data={highlightSelection(variantData, row => row.pango_lineage)} 
                   />
                 </div>
               </div>
@@ -798,72 +2369,16 @@ const processMutationData = (data) => {
                 <h3 style={{ fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' }}>
                   Variant Lineage Details
                 </h3>
-                <table style={{ 
-                  width: '100%', 
-                  borderCollapse: 'collapse', 
-                  fontSize: '0.875rem' 
-                }}>
-                  <thead>
-                    <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
-                      <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Lineage</th>
-                      <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Sample Count</th>
-                      <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Percentage</th>
-                      <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>First Detected</th>
-                      <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Last Detected</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {variantData.labels.map((lineage, index) => {
-                      // Calculate detection dates for each lineage
-                      const lineageSamples = data.filter(row => row.pango_lineage === lineage);
-                      const lineageDates = lineageSamples
-                        .map(row => row.date)
-                        .filter(Boolean)
-                        .sort();
-                      
-                      const firstDetected = lineageDates[0] || 'Unknown';
-                      const lastDetected = lineageDates[lineageDates.length - 1] || 'Unknown';
-                      
-                      const totalSamples = variantData.datasets[0].data.reduce((sum, count) => sum + count, 0);
-                      const percentage = ((variantData.datasets[0].data[index] / totalSamples) * 100).toFixed(1);
-                      
-                      return (
-                        <tr key={lineage} style={{ 
-                          borderBottom: '1px solid #e2e8f0',
-                          backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc'
-                        }}>
-                          <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>
-                            <div style={{ 
-                              display: 'flex', 
-                              alignItems: 'center' 
-                            }}>
-                              <div style={{ 
-                                width: '12px', 
-                                height: '12px', 
-                                backgroundColor: COLORS[index % COLORS.length],
-                                marginRight: '0.5rem',
-                                borderRadius: '2px'
-                              }}></div>
-                              {lineage}
-                            </div>
-                          </td>
-                          <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>
-                            {variantData.datasets[0].data[index]}
-                          </td>
-                          <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>
-                            {percentage}%
-                          </td>
-                          <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>
-                            {firstDetected}
-                          </td>
-                          <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>
-                            {lastDetected}
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
+                {lineageDetails ? (
+                  <DataTable
+                    columns={lineageColumns}
+                    rows={lineageDetails}
+                    rowKey={row => row.lineage}
+                    csvName="lineage details"
+                  />
+                ) : (
+                  <div style={{ height: '200px' }}>{renderCalculating()}</div>
+                )}
               </div>
               
               {/* Variant Insights */}
@@ -926,6 +2441,7 @@ const processMutationData = (data) => {
                 <h3 style={{ fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' }}>
                   Sample Collection Timeline
                 </h3>
+                {renderImpreciseDateControl('timeline')}
                 <div style={{ height: '300px' }}>
                   <Line 
                     options={{
@@ -956,7 +2472,7 @@ const processMutationData = (data) => {
                         }
                       }
                     }} 
-                    data={temporalData} 
+                    data={highlightSelection(timelineData, row => periodKey(row, 'month', impreciseDates.timeline))} 
                   />
                 </div>
               </div>
@@ -974,8 +2490,10 @@ const processMutationData = (data) => {
                 <p style={{ fontSize: '0.875rem', color: '#4a5568', marginBottom: '1rem' }}>
                   Showing the proportion of variant lineages by month and quarter
                 </p>
+                {renderImpreciseDateControl('lineages')}
                 <div style={{ height: '400px' }}>
-                  {data.length > 0 && (
+                  {data.length > 0 && !lineageShareData && renderCalculating()}
+                  {lineageShareData && (
                     <Bar
                       options={{
                         ...chartOptions,
@@ -1012,92 +2530,7 @@ const processMutationData = (data) => {
                           }
                         }
                       }}
-                      data={(() => {
-                        // Process data for the stacked bar chart - similar to Pan-India style
-                        // Group by year, month and lineage
-                        const yearMonthGroups = {};
-                        
-                        data.forEach(row => {
-                          if (row.year && row.month && row.pango_lineage) {
-                            const yearMonth = `${row.year}-${String(row.month).padStart(2, '0')}`;
-                            if (!yearMonthGroups[yearMonth]) {
-                              yearMonthGroups[yearMonth] = {
-                                count: 0,
-                                lineages: {}
-                              };
-                            }
-                            
-                            if (!yearMonthGroups[yearMonth].lineages[row.pango_lineage]) {
-                              yearMonthGroups[yearMonth].lineages[row.pango_lineage] = 0;
-                            }
-                            
-                            yearMonthGroups[yearMonth].lineages[row.pango_lineage]++;
-                            yearMonthGroups[yearMonth].count++;
-                          }
-                        });
-                        
-                        // Get all unique lineages
-                        const allLineages = [...new Set(data.map(row => row.pango_lineage).filter(Boolean))];
-                        
-                        // Sort lineages by total count
-                        const lineageCounts = {};
-                        allLineages.forEach(lineage => {
-                          lineageCounts[lineage] = 0;
-                          data.forEach(row => {
-                            if (row.pango_lineage === lineage) {
-                              lineageCounts[lineage]++;
-                            }
-                          });
-                        });
-                        
-                        // Get top 8 lineages
-                        const topLineages = Object.entries(lineageCounts)
-                          .sort((a, b) => b[1] - a[1])
-                          .slice(0, 8)
-                          .map(entry => entry[0]);
-                        
-                        // Sort by year and month
-                        const sortedKeys = Object.keys(yearMonthGroups).sort();
-                        const monthNames = [
-                          'January', 'February', 'March', 'April', 'May', 'June',
-                          'July', 'August', 'September', 'October', 'November', 'December'
-                        ];
-                        
-                        const labels = sortedKeys.map(yearMonth => {
-                          const [year, month] = yearMonth.split('-');
-                          return monthNames[parseInt(month) - 1];
-                        });
-                        
-                        // Create datasets for stacked bar chart
-                        const datasets = [...topLineages, 'Other'].map((lineage, index) => {
-                          return {
-                            label: lineage,
-                            data: sortedKeys.map(yearMonth => {
-                              const totalCount = yearMonthGroups[yearMonth].count;
-                              if (lineage === 'Other') {
-                                // Calculate "Other" category
-                                let otherCount = 0;
-                                Object.entries(yearMonthGroups[yearMonth].lineages).forEach(([lin, count]) => {
-                                  if (!topLineages.includes(lin)) {
-                                    otherCount += count;
-                                  }
-                                });
-                                return (otherCount / totalCount) * 100;
-                              } else {
-                                const count = yearMonthGroups[yearMonth].lineages[lineage] || 0;
-                                return (count / totalCount) * 100;
-                              }
-                            }),
-                            backgroundColor: COLORS[index % COLORS.length],
-                            stack: 'Stack 0',
-                          };
-                        });
-                        
-                        return {
-                          labels,
-                          datasets
-                        };
-                      })()}
+                      data={lineageShareData}
                     />
                   )}
                 </div>
@@ -1145,7 +2578,7 @@ const processMutationData = (data) => {
                   Monthly Sample Growth Rate
                 </h3>
                 <div style={{ height: '300px' }}>
-                  {temporalData.labels.length > 1 ? (
+                  {timelineData.labels.length > 1 ? (
                     <Bar
                       options={{
                         ...chartOptions,
@@ -1169,13 +2602,13 @@ const processMutationData = (data) => {
                         }
                       }}
                       data={{
-                        labels: temporalData.labels.slice(1).map((month, i) => {
+                        labels: timelineData.labels.slice(1).map((month, i) => {
                           return month;
                         }),
                         datasets: [{
                           label: 'Monthly Growth Rate (%)',
-                          data: temporalData.datasets[0].data.slice(1).map((count, i) => {
-                            const prevCount = temporalData.datasets[0].data[i];
+                          data: timelineData.datasets[0].data.slice(1).map((count, i) => {
+                            const prevCount = timelineData.datasets[0].data[i];
                             if (prevCount === 0) return 0;
                             return ((count - prevCount) / prevCount) * 100;
                           }),
@@ -1212,7 +2645,7 @@ const processMutationData = (data) => {
                 </h3>
                 
                 <div style={{ backgroundColor: 'white', padding: '1rem', borderRadius: '0.375rem', border: '1px solid #e2e8f0' }}>
-                  {temporalData.labels.length > 0 ? (
+                  {timelineData.labels.length > 0 ? (
                     <>
                       <p style={{ marginBottom: '0.5rem' }}>
                         <strong>Date Range:</strong> {stats.dateRange.min} to {stats.dateRange.max}
@@ -1220,22 +2653,22 @@ const processMutationData = (data) => {
                       
                       <p style={{ marginBottom: '0.5rem' }}>
                         <strong>Peak Collection Month:</strong> {(() => {
-                          const maxIndex = temporalData.datasets[0].data.indexOf(
-                            Math.max(...temporalData.datasets[0].data)
+                          const maxIndex = timelineData.datasets[0].data.indexOf(
+                            Math.max(...timelineData.datasets[0].data)
                           );
-                          return `${temporalData.labels[maxIndex]} (${temporalData.datasets[0].data[maxIndex]} samples)`;
+                          return `${timelineData.labels[maxIndex]} (${timelineData.datasets[0].data[maxIndex]} samples)`;
                         })()}
                       </p>
                       
                       <p style={{ marginBottom: '0.5rem' }}>
-                        <strong>Total Time Period:</strong> {temporalData.labels.length} months
+                        <strong>Total Time Period:</strong> {timelineData.labels.length} months
                       </p>
                       
                       <p>
                         <strong>Average Samples Per Month:</strong> {
-                          temporalData.labels.length > 0 
-                            ? (temporalData.datasets[0].data.reduce((sum, count) => sum + count, 0) / 
-                               temporalData.datasets[0].data.length).toFixed(1)
+                          timelineData.labels.length > 0 
+                            ? (timelineData.datasets[0].data.reduce((sum, count) => sum + count, 0) / 
+                               timelineData.datasets[0].data.length).toFixed(1)
                             : 'N/A'
                         }
                       </p>
@@ -1648,7 +3081,10 @@ const processMutationData = (data) => {
 
 
         {/* Mutations Analysis Tab */}
-        {activeTab === 'mutations' && (
+        {activeTab === 'mutations' && !mutationData && (
+          <div style={{ height: '200px' }}>{renderCalculating()}</div>
+        )}
+        {activeTab === 'mutations' && mutationData && (
           <div>
             <h2 style={{ fontSize: '1.25rem', fontWeight: 600, marginBottom: '1rem' }}>
               Mutation Analysis
@@ -1670,42 +3106,37 @@ const processMutationData = (data) => {
                   Top 15 Mutations Frequency
                 </h3>
                 <div style={{ height: '300px' }}>
-                  {(() => {
-                    const mutationData = processMutationData(data);
-                    return (
-                      <Bar 
-                        options={{
-                          ...chartOptions,
-                          plugins: {
-                            ...chartOptions.plugins,
-                            tooltip: {
-                              callbacks: {
-                                label: function(context) {
-                                  return `${context.raw} samples`;
-                                }
-                              }
-                            }
-                          },
-                          scales: {
-                            y: {
-                              beginAtZero: true,
-                              title: {
-                                display: true,
-                                text: 'Sample Count'
-                              }
-                            },
-                            x: {
-                              title: {
-                                display: true,
-                                text: 'Mutation'
-                              }
+                  <Bar 
+                    options={{
+                      ...chartOptions,
+                      plugins: {
+                        ...chartOptions.plugins,
+                        tooltip: {
+                          callbacks: {
+                            label: function(context) {
+                              return `${context.raw} samples`;
                             }
                           }
-                        }} 
-                        data={mutationData.mutationFreqData} 
-                      />
-                    );
-                  })()}
+                        }
+                      },
+                      scales: {
+                        y: {
+                          beginAtZero: true,
+                          title: {
+                            display: true,
+                            text: 'Sample Count'
+                          }
+                        },
+                        x: {
+                          title: {
+                            display: true,
+                            text: 'Mutation'
+                          }
+                        }
+                      }
+                    }} 
+                    data={highlightSelection(mutationData.mutationFreqData, rowMutations)} 
+                  />
                 </div>
               </div>
               
@@ -1720,37 +3151,32 @@ const processMutationData = (data) => {
                   Mutation Burden by Lineage
                 </h3>
                 <div style={{ height: '300px' }}>
-                  {(() => {
-                    const mutationData = processMutationData(data);
-                    return (
-                      <Bar 
-                        options={{
-                          ...chartOptions,
-                          indexAxis: 'y',
-                          plugins: {
-                            ...chartOptions.plugins,
-                            tooltip: {
-                              callbacks: {
-                                label: function(context) {
-                                  return `${context.raw} avg. mutations`;
-                                }
-                              }
-                            }
-                          },
-                          scales: {
-                            x: {
-                              beginAtZero: true,
-                              title: {
-                                display: true,
-                                text: 'Average Number of Mutations'
-                              }
+                  <Bar 
+                    options={{
+                      ...chartOptions,
+                      indexAxis: 'y',
+                      plugins: {
+                        ...chartOptions.plugins,
+                        tooltip: {
+                          callbacks: {
+                            label: function(context) {
+                              return `${context.raw} avg. mutations`;
                             }
                           }
-                        }} 
-                        data={mutationData.lineageBurdenData} 
-                      />
-                    );
-                  })()}
+                        }
+                      },
+                      scales: {
+                        x: {
+                          beginAtZero: true,
+                          title: {
+                            display: true,
+                            text: 'Average Number of Mutations'
+                          }
+                        }
+                      }
+                    }} 
+                    data={mutationData.lineageBurdenData} 
+                  />
                 </div>
               </div>
               
@@ -1765,28 +3191,23 @@ const processMutationData = (data) => {
                   Top Spike Protein Mutations
                 </h3>
                 <div style={{ height: '300px' }}>
-                  {(() => {
-                    const mutationData = processMutationData(data);
-                    return (
-                      <Bar 
-                        options={{
-                          ...chartOptions,
-                          indexAxis: 'y',
-                          plugins: {
-                            ...chartOptions.plugins,
-                            tooltip: {
-                              callbacks: {
-                                label: function(context) {
-                                  return `${context.raw} samples`;
-                                }
-                              }
+                  <Bar 
+                    options={{
+                      ...chartOptions,
+                      indexAxis: 'y',
+                      plugins: {
+                        ...chartOptions.plugins,
+                        tooltip: {
+                          callbacks: {
+                            label: function(context) {
+                              return `${context.raw} samples`;
                             }
                           }
-                        }} 
-                        data={mutationData.spikeData} 
-                      />
-                    );
-                  })()}
+                        }
+                      }
+                    }} 
+                    data={mutationData.spikeData} 
+                  />
                 </div>
               </div>
 
@@ -1805,11 +3226,19 @@ const processMutationData = (data) => {
                       </p>
                       <div style={{ height: '500px', overflow: 'auto' }}>
                         {(() => {
-                          const mutationData = processMutationData(data);
                           // This would require a custom component for rendering a heatmap
                           // Here we'll render a simplified matrix visualization
                           
                           const { topMutationNames, mutationCorrelation } = mutationData;
+
+                          // Strongest co-occurrence, for scaling the colours
+                          const maxCorrelation = Math.max(
+                            ...topMutationNames.map(m1 => 
+                              Math.max(...topMutationNames.map(m2 => 
+                                m1 !== m2 ? (mutationCorrelation[m1]?.[m2] || 0) : 0
+                              ))
+                            )
+                          );
                           
                           // Since we don't have a dedicated heatmap component in Chart.js,
                           // we'll create a simplified visual representation of the correlation matrix
@@ -1872,14 +3301,6 @@ const processMutationData = (data) => {
                                         let intensity = 0;
                                         if (mutation1 !== mutation2 && mutationCorrelation[mutation1]?.[mutation2]) {
                                           // Calculate color intensity based on correlation strength
-                                          const maxCorrelation = Math.max(
-                                            ...topMutationNames.map(m1 => 
-                                              Math.max(...topMutationNames.map(m2 => 
-                                                m1 !== m2 ? (mutationCorrelation[m1]?.[m2] || 0) : 0
-                                              ))
-                                            )
-                                          );
-                                          
                                           intensity = mutationCorrelation[mutation1][mutation2] / maxCorrelation;
                                         }
                                         
@@ -1943,73 +3364,37 @@ const processMutationData = (data) => {
                         Mutations by Viral Protein
                       </h3>
                       <div style={{ height: '300px' }}>
-                        {(() => {
-                          // Process data to group mutations by protein
-                          const proteinCounts = {};
-                          
-                          data.forEach(row => {
-                            if (row.substitutions) {
-                              const mutations = typeof row.substitutions === 'string' 
-                                ? row.substitutions.split(',').map(m => m.trim()) 
-                                : Array.isArray(row.substitutions) ? row.substitutions : [];
-                              
-                              mutations.forEach(mutation => {
-                                if (mutation && mutation.includes(':')) {
-                                  const protein = mutation.split(':')[0];
-                                  proteinCounts[protein] = (proteinCounts[protein] || 0) + 1;
+                        <Bar 
+                          options={{
+                            ...chartOptions,
+                            plugins: {
+                              ...chartOptions.plugins,
+                              tooltip: {
+                                callbacks: {
+                                  label: function(context) {
+                                    return `${context.raw} mutations`;
+                                  }
                                 }
-                              });
-                            }
-                          });
-                          
-                          const proteinData = {
-                            labels: Object.keys(proteinCounts),
-                            datasets: [
-                              {
-                                label: 'Mutation Count',
-                                data: Object.values(proteinCounts),
-                                backgroundColor: Object.keys(proteinCounts).map((_, i) => 
-                                  COLORS[i % COLORS.length]
-                                ),
-                                borderWidth: 1,
                               }
-                            ]
-                          };
-                          
-                          return (
-                            <Bar 
-                              options={{
-                                ...chartOptions,
-                                plugins: {
-                                  ...chartOptions.plugins,
-                                  tooltip: {
-                                    callbacks: {
-                                      label: function(context) {
-                                        return `${context.raw} mutations`;
-                                      }
-                                    }
-                                  }
-                                },
-                                scales: {
-                                  y: {
-                                    beginAtZero: true,
-                                    title: {
-                                      display: true,
-                                      text: 'Mutation Count'
-                                    }
-                                  },
-                                  x: {
-                                    title: {
-                                      display: true,
-                                      text: 'Viral Protein'
-                                    }
-                                  }
+                            },
+                            scales: {
+                              y: {
+                                beginAtZero: true,
+                                title: {
+                                  display: true,
+                                  text: 'Mutation Count'
                                 }
-                              }} 
-                              data={proteinData} 
-                            />
-                          );
-                        })()}
+                              },
+                              x: {
+                                title: {
+                                  display: true,
+                                  text: 'Viral Protein'
+                                }
+                              }
+                            }
+                          }} 
+                          data={proteinData} 
+                        />
                       </div>
                       <div style={{ 
                         marginTop: '1rem', 
@@ -2041,96 +3426,41 @@ const processMutationData = (data) => {
                       <h3 style={{ fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' }}>
                         Mutation Emergence Timeline
                       </h3>
+                      {renderImpreciseDateControl('mutations')}
                       <div style={{ height: '400px' }}>
-                        {(() => {
-                          // Process temporal mutation data
-                          const mutationTimeline = {};
-                          
-                          // Get top 5 mutations for timeline visualization
-                          const mutationData = processMutationData(data);
-                          const top5Mutations = mutationData.topMutations.slice(0, 5).map(([mutation]) => mutation);
-                          
-                          // Initialize the structure
-                          const monthlyData = {};
-                          
-                          // Get sorted months
-                          const months = [...new Set(data
-                            .filter(row => row.year && row.month)
-                            .map(row => `${row.year}-${String(row.month).padStart(2, '0')}`)
-                          )].sort();
-                          
-                          // Initialize counts for each mutation in each month
-                          months.forEach(month => {
-                            monthlyData[month] = {};
-                            top5Mutations.forEach(mutation => {
-                              monthlyData[month][mutation] = 0;
-                            });
-                          });
-                          
-                          // Count mutations by month
-                          data.forEach(row => {
-                            if (row.year && row.month && row.substitutions) {
-                              const yearMonth = `${row.year}-${String(row.month).padStart(2, '0')}`;
-                              
-                              const mutations = typeof row.substitutions === 'string' 
-                                ? row.substitutions.split(',').map(m => m.trim()) 
-                                : Array.isArray(row.substitutions) ? row.substitutions : [];
-                              
-                              mutations.forEach(mutation => {
-                                if (top5Mutations.includes(mutation) && monthlyData[yearMonth]) {
-                                  monthlyData[yearMonth][mutation]++;
-                                }
-                              });
-                            }
-                          });
-                          
-                          // Prepare the timeline data for Chart.js
-                          const timelineData = {
-                            labels: months,
-                            datasets: top5Mutations.map((mutation, index) => ({
-                              label: mutation,
-                              data: months.map(month => monthlyData[month][mutation]),
-                              backgroundColor: COLORS[index % COLORS.length],
-                              borderColor: COLORS[index % COLORS.length],
-                              fill: false,
-                              tension: 0.4
-                            }))
-                          };
-                          
-                          return (
-                            <Line 
-                              options={{
-                                ...chartOptions,
-                                plugins: {
-                                  ...chartOptions.plugins,
-                                  tooltip: {
-                                    callbacks: {
-                                      label: function(context) {
-                                        return `${context.dataset.label}: ${context.raw} samples`;
-                                      }
+                        {mutationTimelineData ? (
+                          <Line 
+                            options={{
+                              ...chartOptions,
+                              plugins: {
+                                ...chartOptions.plugins,
+                                tooltip: {
+                                  callbacks: {
+                                    label: function(context) {
+                                      return `${context.dataset.label}: ${context.raw} samples`;
                                     }
                                   }
+                                }
+                              },
+                              scales: {
+                                y: {
+                                  beginAtZero: true,
+                                  title: {
+                                    display: true,
+                                    text: 'Samples with Mutation'
+                                  }
                                 },
-                                scales: {
-                                  y: {
-                                    beginAtZero: true,
-                                    title: {
-                                      display: true,
-                                      text: 'Samples with Mutation'
-                                    }
-                                  },
-                                  x: {
-                                    title: {
-                                      display: true,
-                                      text: 'Month'
-                                    }
+                                x: {
+                                  title: {
+                                    display: true,
+                                    text: 'Month'
                                   }
                                 }
-                              }} 
-                              data={timelineData} 
-                            />
-                          );
-                        })()}
+                              }
+                            }} 
+                            data={mutationTimelineData} 
+                          />
+                        ) : renderCalculating()}
                       </div>
                     </div>
 
@@ -2151,7 +3481,6 @@ const processMutationData = (data) => {
                         border: '1px solid #e2e8f0' 
                       }}>
                         {(() => {
-                          const mutationData = processMutationData(data);
                           const topMutation = mutationData.topMutations[0] 
                             ? `${mutationData.topMutations[0][0]} (${mutationData.topMutations[0][1]} samples)` 
                             : 'N/A';
@@ -2195,87 +3524,12 @@ const processMutationData = (data) => {
                       <h3 style={{ fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' }}>
                         Functional Impact of Key Mutations
                       </h3>
-                      <div style={{ 
-                        backgroundColor: 'white', 
-                        padding: '1rem', 
-                        borderRadius: '0.375rem', 
-                        border: '1px solid #e2e8f0',
-                        maxHeight: '400px',
-                        overflowY: 'auto'
-                      }}>
-                        <table style={{ 
-                          width: '100%', 
-                          borderCollapse: 'collapse', 
-                          fontSize: '0.875rem' 
-                        }}>
-                          <thead>
-                            <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
-                              <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0', position: 'sticky', top: 0, backgroundColor: '#f1f5f9' }}>Mutation</th>
-                              <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0', position: 'sticky', top: 0, backgroundColor: '#f1f5f9' }}>Protein</th>
-                              <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0', position: 'sticky', top: 0, backgroundColor: '#f1f5f9' }}>Frequency</th>
-                              <th style={{ padding: '0.5rem', border: '1px solid #e2e8f0', position: 'sticky', top: 0, backgroundColor: '#f1f5f9' }}>Potential Impact</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {/* This would typically come from a database of known mutation impacts */}
-                            {/* Here we'll simulate with some example data */}
-                            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:D614G</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>High</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Increased infectivity, stabilizes spike in open conformation</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:N501Y</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Medium</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Enhanced binding to ACE2 receptor, associated with Alpha & Beta variants</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:E484K</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Medium</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Possible immune escape, reduces neutralization by antibodies</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:K417N</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Low</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Possible immune escape, changes binding interface</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:P681R</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Medium</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Near furin cleavage site, may increase cell entry efficiency</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>N:R203K</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Nucleocapsid</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>High</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>May affect RNA binding, often co-occurs with N:G204R</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>ORF1a:T3255I</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>NSP5 (Protease)</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Low</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>May affect protease function, under investigation</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:L452R</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Medium</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Enhanced ACE2 receptor binding, reduced antibody recognition</td>
-                            </tr>
-                            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>S:H69del</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Spike</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Medium</td>
-                              <td style={{ padding: '0.5rem', border: '1px solid #e2e8f0' }}>Often co-occurs with S:V70del, may affect antibody binding</td>
-                            </tr>
-                          </tbody>
-                        </table>
-                      </div>
+                      <DataTable
+                        columns={IMPACT_COLUMNS}
+                        rows={impactRows}
+                        rowKey={row => row.mutation}
+                        csvName="mutation impacts"
+                      />
                     </div>
 
               {/* Mutation Evolution */}
@@ -0,0 +1,94 @@
+// src/DataLoader.jsx
+import React, { useRef, useState } from 'react';
+
+// Drop zone with a file picker fallback. Hands the chosen File to onFile, or
+// every chosen File (as an array) to onFiles; nothing is uploaded, the caller
+// parses them in the browser.
+const DataLoader = ({ onFile, onFiles, compact = false, accept = '.csv,.tsv,.txt', label = 'Drop a CSV file here' }) => {
+  const inputRef = useRef(null);
+  const [dragActive, setDragActive] = useState(false);
+
+  const handleFiles = (files) => {
+    if (!files || files.length === 0) return;
+    if (onFiles) {
+      onFiles(Array.from(files));
+    } else {
+      onFile(files[0]);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!dragActive) setDragActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleChange = (e) => {
+    handleFiles(e.target.files);
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragEnter={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      style={{
+        display: 'flex',
+        flexDirection: compact ? 'row' : 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: compact ? '0.5rem' : '0.75rem',
+        padding: compact ? '0.5rem 0.75rem' : '1.5rem 2rem',
+        border: `2px dashed ${dragActive ? '#5a67d8' : '#cbd5e0'}`,
+        borderRadius: '0.5rem',
+        backgroundColor: dragActive ? '#ebf4ff' : 'white',
+        color: '#4a5568',
+        fontSize: compact ? '0.75rem' : '0.875rem',
+        textAlign: 'center'
+      }}
+    >
+      <span>{dragActive ? 'Release to load' : label}</span>
+      <button
+        type="button"
+        onClick={() => inputRef.current && inputRef.current.click()}
+        style={{
+          padding: compact ? '0.25rem 0.75rem' : '0.5rem 1rem',
+          fontWeight: 500,
+          backgroundColor: '#5a67d8',
+          color: 'white',
+          border: 'none',
+          borderRadius: '0.375rem',
+          cursor: 'pointer'
+        }}
+      >
+        Browse...
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={accept}
+        multiple={Boolean(onFiles)}
+        onChange={handleChange}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+};
+
+export default DataLoader;
@@ -0,0 +1,186 @@
+// src/DataQualityView.jsx
+import React, { useMemo } from 'react';
+import { assessDataQuality, problemRowsCsv, PROBLEM_KINDS } from './dataQuality.js';
+import { FIELDS, getFieldLabel } from './schema.js';
+import DataTable from './DataTable.jsx';
+
+const panelStyle = {
+  backgroundColor: '#f8fafc',
+  padding: '1rem',
+  borderRadius: '0.375rem'
+};
+
+const headingStyle = { fontSize: '1rem', fontWeight: 500, marginBottom: '0.75rem' };
+
+const completenessColor = (share) => {
+  if (share >= 0.95) return '#48bb78';
+  if (share >= 0.5) return '#ecc94b';
+  return '#f56565';
+};
+
+const fieldKeys = FIELDS.map(field => field.key);
+
+const COMPLETENESS_COLUMNS = [
+  {
+    key: 'column',
+    label: 'Column',
+    render: ({ column }) => (
+      <>
+        <span style={{ fontFamily: 'monospace' }}>{column}</span>
+        {fieldKeys.includes(column) && <span style={{ color: '#718096' }}> ({getFieldLabel(column)})</span>}
+      </>
+    )
+  },
+  {
+    key: 'share',
+    label: 'Filled',
+    width: '40%',
+    value: ({ share }) => Number((share * 100).toFixed(1)),
+    render: ({ share }) => (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <div style={{ flex: 1, height: '0.5rem', backgroundColor: '#e2e8f0', borderRadius: '0.25rem' }}>
+          <div style={{
+            width: `${share * 100}%`,
+            height: '100%',
+            backgroundColor: completenessColor(share),
+            borderRadius: '0.25rem'
+          }} />
+        </div>
+        <span style={{ width: '3rem', textAlign: 'right' }}>{(share * 100).toFixed(1)}%</span>
+      </div>
+    )
+  },
+  {
+    key: 'filled',
+    label: 'Rows',
+    align: 'right',
+    render: ({ filled, total }) => (
+      <span style={{ color: '#4a5568' }}>{filled.toLocaleString()} / {total.toLocaleString()}</span>
+    )
+  }
+];
+
+// One line per issue, each with its row and sample so it still reads when
+// sorted or filtered
+const ISSUE_COLUMNS = [
+  { key: 'row', label: 'Row', width: '12%', align: 'right' },
+  { key: 'id', label: 'Sample', width: '25%', render: ({ id }) => <span style={{ fontFamily: 'monospace' }}>{id}</span> },
+  { key: 'column', label: 'Column', width: '20%', render: ({ column }) => <span style={{ fontFamily: 'monospace' }}>{column}</span> },
+  { key: 'message', label: 'Problem' }
+];
+
+// Completeness of every column and the rows with invalid, inconsistent or
+// duplicated values, which the charts otherwise skip without saying so
+const DataQualityView = ({ rows, sourceName }) => {
+  const report = useMemo(() => assessDataQuality(rows), [rows]);
+  const completeness = useMemo(() => report.completeness.map(entry => ({
+    ...entry,
+    share: entry.total > 0 ? entry.filled / entry.total : 0
+  })), [report]);
+  const issues = useMemo(() => report.problems.flatMap(problem => problem.issues.map((issue, i) => ({
+    key: `${problem.index}-${i}`,
+    row: problem.index + 1,
+    id: problem.id,
+    column: issue.column,
+    message: issue.message
+  }))), [report]);
+
+  const downloadProblemRows = () => {
+    const blob = new Blob([problemRowsCsv(rows, report)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(sourceName || 'dataset').replace(/\.[^.]+$/, '')}-problems.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <h2 style={{ fontSize: '1.25rem', fontWeight: 600, marginBottom: '1rem' }}>
+        Data Quality
+      </h2>
+
+      {/* Summary cards */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+        gap: '1rem',
+        marginBottom: '1.5rem'
+      }}>
+        {[
+          ['Rows checked', rows.length],
+          ['Rows with problems', report.problems.length],
+          ...Object.entries(PROBLEM_KINDS).map(([kind, label]) => [label, report.counts[kind]])
+        ].map(([label, value]) => (
+          <div key={label} style={panelStyle}>
+            <div style={{ fontSize: '0.75rem', color: '#4a5568' }}>{label}</div>
+            <div style={{ fontSize: '1.5rem', fontWeight: 700, color: value > 0 && label !== 'Rows checked' ? '#c53030' : '#1a202c' }}>
+              {value.toLocaleString()}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))',
+        gap: '1.5rem'
+      }}>
+        {/* Column completeness */}
+        <div style={panelStyle}>
+          <h3 style={headingStyle}>Column Completeness</h3>
+          <DataTable
+            columns={COMPLETENESS_COLUMNS}
+            rows={completeness}
+            rowKey={entry => entry.column}
+            height={480}
+            csvName="column completeness"
+          />
+        </div>
+
+        {/* Problem rows */}
+        <div style={panelStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+            <h3 style={{ ...headingStyle, marginBottom: 0 }}>Problem Rows</h3>
+            {report.problems.length > 0 && (
+              <button
+                onClick={downloadProblemRows}
+                style={{
+                  padding: '0.25rem 0.75rem',
+                  fontSize: '0.875rem',
+                  fontWeight: 500,
+                  backgroundColor: '#5a67d8',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '0.375rem',
+                  cursor: 'pointer'
+                }}
+              >
+                Download CSV
+              </button>
+            )}
+          </div>
+          <p style={{ fontSize: '0.75rem', color: '#4a5568', marginBottom: '0.75rem' }}>
+            {report.idColumn
+              ? <>Duplicates are matched on <strong>{report.idColumn}</strong>.</>
+              : 'No sample ID column found, so duplicates are not checked.'}
+          </p>
+          {report.problems.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', color: '#276749' }}>No problems found.</p>
+          ) : (
+            <DataTable
+              columns={ISSUE_COLUMNS}
+              rows={issues}
+              rowKey={issue => issue.key}
+              height={480}
+              csvName="problem rows"
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataQualityView;
@@ -0,0 +1,187 @@
+// src/DataTable.jsx
+import React, { useState, useMemo, useRef } from 'react';
+import Papa from 'papaparse';
+
+// Rows drawn above and below the visible ones, so fast scrolling doesn't
+// show blank space before the next render
+const OVERSCAN = 10;
+
+const cellStyle = {
+  padding: '0.5rem',
+  border: '1px solid #e2e8f0',
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis'
+};
+
+const headerStyle = {
+  ...cellStyle,
+  position: 'sticky',
+  top: 0,
+  zIndex: 1,
+  backgroundColor: '#f1f5f9',
+  textAlign: 'left',
+  verticalAlign: 'top'
+};
+
+const SORT_MARKS = { asc: ' ▲', desc: ' ▼' };
+
+const valueOf = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+// Missing values go last whichever way the column is sorted
+const compareValues = (a, b, direction) => {
+  const aMissing = a === undefined || a === null || a === '';
+  const bMissing = b === undefined || b === null || b === '';
+  if (aMissing || bMissing) return aMissing - bMissing;
+  const order = direction === 'desc' ? -1 : 1;
+  if (typeof a === 'number' && typeof b === 'number') return (a - b) * order;
+  return String(a).localeCompare(String(b), undefined, { numeric: true }) * order;
+};
+
+// A table that only puts the rows in view into the DOM, so it can list every
+// lineage or sample. columns are { key, label, width, value, render, align }:
+// value(row) is what sorting, filters and the CSV use (row[key] by default),
+// render(row) what the cell shows. Rows have a fixed height; longer text is
+// cut off with its full value in the cell's tooltip.
+const DataTable = ({ columns, rows, rowKey, height = 400, rowHeight = 37, csvName }) => {
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [copied, setCopied] = useState(null);
+  const scrollRef = useRef(null);
+
+  const visibleRows = useMemo(() => {
+    const active = columns.filter(column => filters[column.key]);
+    const filtered = active.length === 0 ? rows : rows.filter(row => active.every(column => {
+      const value = valueOf(column, row);
+      return value !== undefined && value !== null &&
+        String(value).toLowerCase().includes(filters[column.key].toLowerCase());
+    }));
+    if (!sort) return filtered;
+    const column = columns.find(candidate => candidate.key === sort.key);
+    return [...filtered].sort((a, b) => compareValues(valueOf(column, a), valueOf(column, b), sort.direction));
+  }, [columns, rows, filters, sort]);
+
+  // Ascending, descending, then back to the given order
+  const toggleSort = (key) => {
+    setSort(prev => {
+      if (!prev || prev.key !== key) return { key, direction: 'asc' };
+      if (prev.direction === 'asc') return { key, direction: 'desc' };
+      return null;
+    });
+  };
+
+  const changeFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    // Back to the first match; setting scrollTop fires onScroll
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  // Copies the rows as filtered and sorted, with every column's plain value
+  const copyCsv = async () => {
+    const csv = Papa.unparse({
+      fields: columns.map(column => column.label),
+      data: visibleRows.map(row => columns.map(column => {
+        const value = valueOf(column, row);
+        return value === undefined || value === null ? '' : value;
+      }))
+    });
+    try {
+      await navigator.clipboard.writeText(csv);
+      setCopied(`Copied ${visibleRows.length.toLocaleString()} rows`);
+    } catch (error) {
+      console.error('Error copying table:', error);
+      setCopied('Copying is not allowed here');
+    }
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(visibleRows.length, Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN);
+  const filtering = columns.some(column => filters[column.key]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem', fontSize: '0.75rem', color: '#4a5568' }}>
+        <span>
+          {filtering
+            ? `${visibleRows.length.toLocaleString()} of ${rows.length.toLocaleString()} rows`
+            : `${rows.length.toLocaleString()} rows`}
+        </span>
+        <button
+          onClick={copyCsv}
+          disabled={visibleRows.length === 0}
+          title={csvName ? `Copy ${csvName} as CSV` : 'Copy as CSV'}
+          style={{
+            padding: '0.25rem 0.5rem',
+            fontSize: '0.75rem',
+            backgroundColor: 'white',
+            border: '1px solid #cbd5e0',
+            borderRadius: '0.25rem',
+            cursor: 'pointer'
+          }}
+        >
+          Copy CSV
+        </button>
+        {copied && <span>{copied}</span>}
+      </div>
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{ maxHeight: `${height}px`, overflow: 'auto', backgroundColor: 'white', border: '1px solid #e2e8f0', borderRadius: '0.375rem' }}
+      >
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', tableLayout: 'fixed' }}>
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th key={column.key} style={{ ...headerStyle, width: column.width }}>
+                  <div
+                    onClick={() => toggleSort(column.key)}
+                    title="Sort"
+                    style={{ cursor: 'pointer', userSelect: 'none', marginBottom: '0.25rem' }}
+                  >
+                    {column.label}{sort && sort.key === column.key ? SORT_MARKS[sort.direction] : ''}
+                  </div>
+                  <input
+                    value={filters[column.key] || ''}
+                    onChange={(e) => changeFilter(column.key, e.target.value)}
+                    placeholder="Filter"
+                    style={{ width: '100%', boxSizing: 'border-box', fontSize: '0.75rem', fontWeight: 400, padding: '0.125rem 0.25rem', border: '1px solid #cbd5e0', borderRadius: '0.25rem' }}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: `${first * rowHeight}px` }} />}
+            {visibleRows.slice(first, last).map((row, i) => (
+              <tr key={rowKey(row)} style={{ height: `${rowHeight}px`, backgroundColor: (first + i) % 2 === 0 ? 'white' : '#f8fafc' }}>
+                {columns.map(column => {
+                  const value = valueOf(column, row);
+                  return (
+                    <td
+                      key={column.key}
+                      title={value === undefined || value === null ? '' : String(value)}
+                      style={{ ...cellStyle, textAlign: column.align || 'left' }}
+                    >
+                      {column.render ? column.render(row) : value}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {last < visibleRows.length && <tr style={{ height: `${(visibleRows.length - last) * rowHeight}px` }} />}
+            {visibleRows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length} style={{ ...cellStyle, color: '#718096', textAlign: 'center' }}>
+                  {rows.length === 0 ? 'No rows' : 'No rows match the filters'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,126 @@
+// src/DatasetManager.jsx
+import React, { useState } from 'react';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const buttonStyle = {
+  padding: '0.25rem 0.5rem',
+  fontSize: '0.75rem',
+  fontWeight: 500,
+  backgroundColor: 'white',
+  color: '#4a5568',
+  border: '1px solid #cbd5e0',
+  borderRadius: '0.25rem',
+  cursor: 'pointer'
+};
+
+// Lists the datasets cached in the browser, with actions to open, rename
+// or delete each of them
+const DatasetManager = ({ datasets, activeHash, serverName, onOpen, onRename, onDelete, onReloadDefault, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const cellStyle = { padding: '0.5rem', borderBottom: '1px solid #e2e8f0', verticalAlign: 'middle' };
+
+  const startRename = (dataset) => {
+    setEditing(dataset.hash);
+    setDraftName(dataset.name);
+  };
+
+  const finishRename = () => {
+    const name = draftName.trim();
+    if (name) onRename(editing, name);
+    setEditing(null);
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '0.5rem',
+      padding: '1rem',
+      marginBottom: '1.5rem',
+      boxShadow: '0 1px 3px rgba(0,0,0,0.12)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+        <h2 style={{ fontSize: '1.125rem', fontWeight: 600 }}>Cached Datasets</h2>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={onReloadDefault} style={buttonStyle}>Reload {serverName} from server</button>
+          <button onClick={onClose} style={buttonStyle}>Close</button>
+        </div>
+      </div>
+      <p style={{ fontSize: '0.75rem', color: '#718096', marginBottom: '0.75rem' }}>
+        Parsed datasets are kept in this browser so they open without downloading or parsing again.
+        Only the most recently used are kept.
+      </p>
+
+      {datasets.length === 0 ? (
+        <p style={{ fontSize: '0.875rem', color: '#4a5568' }}>No datasets are cached yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#4a5568' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Rows</th>
+                <th style={cellStyle}>Source</th>
+                <th style={cellStyle}>Last used</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {datasets.map(dataset => (
+                <tr key={dataset.hash} style={{ backgroundColor: dataset.hash === activeHash ? '#ebf4ff' : 'white' }}>
+                  <td style={cellStyle}>
+                    {editing === dataset.hash ? (
+                      <input
+                        autoFocus
+                        value={draftName}
+                        onChange={(e) => setDraftName(e.target.value)}
+                        onBlur={finishRename}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') finishRename();
+                          if (e.key === 'Escape') setEditing(null);
+                        }}
+                        style={{ padding: '0.25rem', border: '1px solid #cbd5e0', borderRadius: '0.25rem', width: '100%' }}
+                      />
+                    ) : (
+                      <span style={{ fontWeight: 500 }}>
+                        {dataset.name}
+                        {dataset.hash === activeHash && <span style={{ color: '#5a67d8', fontWeight: 400 }}> (open)</span>}
+                      </span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{dataset.rowCount.toLocaleString()}</td>
+                  <td style={{ ...cellStyle, color: '#718096' }}>{dataset.origin}</td>
+                  <td style={{ ...cellStyle, color: '#718096' }}>{formatDate(dataset.lastUsedAt)}</td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap', textAlign: 'right' }}>
+                    <button
+                      onClick={() => onOpen(dataset.hash)}
+                      disabled={dataset.hash === activeHash}
+                      style={{ ...buttonStyle, marginRight: '0.25rem', opacity: dataset.hash === activeHash ? 0.5 : 1 }}
+                    >
+                      Open
+                    </button>
+                    <button onClick={() => startRename(dataset)} style={{ ...buttonStyle, marginRight: '0.25rem' }}>
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Delete "${dataset.name}" from the cache?`)) onDelete(dataset.hash);
+                      }}
+                      style={{ ...buttonStyle, color: '#e53e3e', borderColor: '#feb2b2' }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetManager;
@@ -0,0 +1,253 @@
+// src/TreeView.jsx
+import React, { useState, useMemo } from 'react';
+import { monthToNumDate, formatNumDate } from './auspice.js';
+import { findSequenceNameColumn, normalizeSequenceName } from './annotations.js';
+import { rowMutations } from './analytics.js';
+
+const COLORS = [
+  '#8884d8', '#83a6ed', '#8dd1e1', '#82ca9d', '#a4de6c',
+  '#d0ed57', '#ffc658', '#ff8042', '#ff6361', '#bc5090'
+];
+const OTHER_COLOR = '#cbd5e0';
+const MUTATION_COLORS = { present: '#e53e3e', absent: '#a0aec0' };
+
+// Drawing area, in SVG units
+const WIDTH = 1000;
+const HEIGHT = 600;
+const MARGIN = { top: 10, right: 20, bottom: 30, left: 10 };
+
+const panelStyle = {
+  backgroundColor: '#f8fafc',
+  padding: '1rem',
+  borderRadius: '0.375rem'
+};
+
+const selectStyle = { fontSize: '0.75rem', borderRadius: '0.25rem', border: '1px solid #cbd5e0' };
+
+// Axis ticks: years for long trees, quarters or months for short ones
+const timeTicks = (minX, maxX) => {
+  const span = maxX - minX;
+  const step = span > 3 ? 12 : span > 1 ? 3 : 1;
+  const ticks = [];
+  for (let year = Math.floor(minX); year <= Math.ceil(maxX); year++) {
+    for (let month = 1; month <= 12; month += step) {
+      const x = monthToNumDate(year, month);
+      if (x >= minX && x <= maxX) {
+        ticks.push({ x, label: step === 12 ? String(year) : formatNumDate(x).slice(0, 7) });
+      }
+    }
+  }
+  return ticks;
+};
+
+const divergenceTicks = (minX, maxX) =>
+  [0, 0.25, 0.5, 0.75, 1].map(share => {
+    const x = minX + (maxX - minX) * share;
+    return { x, label: x.toFixed(x < 1 ? 4 : 1) };
+  });
+
+// Time-scaled Nextstrain tree with tips joined to dataset rows by strain
+// name. Clicking a clade (or a tip) selects its samples for the other tabs.
+const TreeView = ({ tree, rows, mutationOptions, selection, onSelect, onClose }) => {
+  const [colorBy, setColorBy] = useState('pango_lineage');
+  const [mutation, setMutation] = useState(mutationOptions[0] || '');
+
+  const { nodes, tips } = tree;
+
+  const rowsByName = useMemo(() => {
+    const column = findSequenceNameColumn(rows);
+    const byName = new Map();
+    if (column) {
+      rows.forEach(row => {
+        if (row[column]) byName.set(normalizeSequenceName(row[column]), row);
+      });
+    }
+    return byName;
+  }, [rows]);
+
+  const tipRows = useMemo(
+    () => tips.map(tip => rowsByName.get(normalizeSequenceName(tip.name))),
+    [tips, rowsByName]
+  );
+  const matched = tipRows.filter(Boolean).length;
+
+  // Dataset values win; the tree's own attributes fill in for unmatched tips
+  const tipValue = (tip, row) => {
+    if (colorBy === 'mutation') {
+      const mutations = row && row.substitutions ? rowMutations(row) : tip.mutations;
+      return mutations.includes(mutation) ? 'present' : 'absent';
+    }
+    if (colorBy === 'country') return (row && row.country) || tip.country;
+    return (row && row.pango_lineage) || tip.lineage;
+  };
+  const values = tips.map((tip, i) => tipValue(tip, tipRows[i]));
+
+  // The ten most common values get their own colour
+  const valueCounts = {};
+  values.forEach(value => {
+    if (value !== undefined) valueCounts[value] = (valueCounts[value] || 0) + 1;
+  });
+  const legend = colorBy === 'mutation'
+    ? Object.entries(MUTATION_COLORS).map(([value, color]) => ({
+      value,
+      label: value === 'present' ? mutation : `without ${mutation}`,
+      color,
+      count: valueCounts[value] || 0
+    }))
+    : Object.entries(valueCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, COLORS.length)
+      .map(([value, count], i) => ({ value, label: value, color: COLORS[i], count }));
+  const colorOf = {};
+  legend.forEach(item => { colorOf[item.value] = item.color; });
+
+  const xs = nodes.map(node => node.x);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const scaleX = (x) => MARGIN.left + ((x - minX) / (maxX - minX || 1)) * (WIDTH - MARGIN.left - MARGIN.right);
+  const scaleY = (y) => MARGIN.top + (tips.length > 1 ? y / (tips.length - 1) : 0.5) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+  const ticks = tree.timeScaled ? timeTicks(minX, maxX) : divergenceTicks(minX, maxX);
+
+  // Each branch runs horizontally at the node's row; internal nodes add a
+  // vertical line spanning their children
+  const branchPath = nodes.map(node => {
+    const x = scaleX(node.x);
+    const y = scaleY(node.y);
+    let d = node.parent === -1 ? '' : `M${scaleX(nodes[node.parent].x)},${y}H${x}`;
+    if (!node.isTip) {
+      const childYs = node.children.map(child => scaleY(nodes[child].y));
+      d += `M${x},${Math.min(...childYs)}V${Math.max(...childYs)}`;
+    }
+    return d;
+  }).join('');
+
+  const isSelected = (tip) => Boolean(selection && selection.names.has(normalizeSequenceName(tip.name)));
+  const tipRadius = tips.length > 2000 ? 1.5 : tips.length > 500 ? 2.5 : 3.5;
+
+  const selectNode = (node) => {
+    if (selection && selection.nodeId === node.id) {
+      onSelect(null);
+      return;
+    }
+    const names = tips.slice(node.firstTip, node.lastTip + 1).map(tip => normalizeSequenceName(tip.name));
+    const label = node.isTip
+      ? node.name
+      : node.clade ? `clade ${node.clade}` : `${names.length} tips under ${node.name || 'node'}`;
+    onSelect({ nodeId: node.id, label, names: new Set(names) });
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 600 }}>
+          {tree.title || 'Phylogenetic Tree'}
+        </h2>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '0.25rem 0.75rem',
+            fontSize: '0.875rem',
+            backgroundColor: 'white',
+            color: '#4a5568',
+            border: '1px solid #cbd5e0',
+            borderRadius: '0.375rem',
+            cursor: 'pointer'
+          }}
+        >
+          Close tree
+        </button>
+      </div>
+      <p style={{ color: '#4a5568', fontSize: '0.875rem', marginBottom: '1rem' }}>
+        {tree.fileName}: {tips.length.toLocaleString()} tips, {matched.toLocaleString()} matched to dataset rows by strain name.
+        {' '}Click a branch point to select its clade, or a tip to select one sample; the selection is highlighted in the other tabs.
+        {!tree.timeScaled && ' This tree has no dates, so branches show divergence.'}
+      </p>
+
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center', marginBottom: '0.75rem', fontSize: '0.75rem', color: '#4a5568' }}>
+          <label>
+            Colour by:{' '}
+            <select value={colorBy} onChange={(e) => setColorBy(e.target.value)} style={selectStyle}>
+              <option value="pango_lineage">Pango lineage</option>
+              <option value="country">Country</option>
+              <option value="mutation">Mutation</option>
+            </select>
+          </label>
+          {colorBy === 'mutation' && (
+            <select value={mutation} onChange={(e) => setMutation(e.target.value)} style={selectStyle}>
+              {mutationOptions.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          )}
+          {legend.map(item => (
+            <span key={item.value} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem' }}>
+              <span style={{ width: '0.625rem', height: '0.625rem', borderRadius: '50%', backgroundColor: item.color }} />
+              {item.label} ({item.count})
+            </span>
+          ))}
+          {colorBy !== 'mutation' && Object.keys(valueCounts).length > legend.length && (
+            <span style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem' }}>
+              <span style={{ width: '0.625rem', height: '0.625rem', borderRadius: '50%', backgroundColor: OTHER_COLOR }} />
+              other
+            </span>
+          )}
+        </div>
+
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto', backgroundColor: 'white' }}>
+          {ticks.map(tick => (
+            <g key={tick.label}>
+              <line x1={scaleX(tick.x)} x2={scaleX(tick.x)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#edf2f7" />
+              <text x={scaleX(tick.x)} y={HEIGHT - MARGIN.bottom + 16} fontSize="11" fill="#718096" textAnchor="middle">
+                {tick.label}
+              </text>
+            </g>
+          ))}
+          <path d={branchPath} fill="none" stroke="#a0aec0" strokeWidth="1" />
+          {nodes.filter(node => node.clade && !node.isTip).map(node => (
+            <text key={`label-${node.id}`} x={scaleX(node.x) - 3} y={scaleY(node.y) - 3} fontSize="10" fill="#4a5568" textAnchor="end">
+              {node.clade}
+            </text>
+          ))}
+          {nodes.filter(node => node.isTip).map(node => {
+            const tip = tips[node.firstTip];
+            const selected = isSelected(tip);
+            return (
+              <circle
+                key={node.id}
+                cx={scaleX(node.x)}
+                cy={scaleY(node.y)}
+                r={selected ? tipRadius + 1 : tipRadius}
+                fill={colorOf[values[node.firstTip]] || OTHER_COLOR}
+                stroke={selected ? '#1a202c' : 'none'}
+                opacity={selection && !selected ? 0.25 : 1}
+                style={{ cursor: 'pointer' }}
+                onClick={() => selectNode(node)}
+              >
+                <title>{tip.name}{values[node.firstTip] !== undefined ? ` (${values[node.firstTip]})` : ''}</title>
+              </circle>
+            );
+          })}
+          {nodes.filter(node => !node.isTip).map(node => (
+            <circle
+              key={node.id}
+              cx={scaleX(node.x)}
+              cy={scaleY(node.y)}
+              r={selection && selection.nodeId === node.id ? 5 : 3}
+              fill={selection && selection.nodeId === node.id ? '#5a67d8' : 'transparent'}
+              style={{ cursor: 'pointer' }}
+              onClick={() => selectNode(node)}
+            >
+              <title>
+                {node.clade ? `Clade ${node.clade}: ` : ''}{node.lastTip - node.firstTip + 1} tips
+                {tree.timeScaled ? `, ${formatNumDate(node.x)}` : ''}
+              </title>
+            </circle>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default TreeView;
@@ -0,0 +1,101 @@
+// src/ZipEntryPicker.jsx
+import React from 'react';
+import { formatBytes } from './csvStream.js';
+
+// Data files CovBoard can read, listed first
+const DATA_FILE_PATTERN = /\.(csv|tsv|txt|json|ndjson|jsonl|fasta|fas|fa|fna|fsa|vcf|parquet|arrow|arrows|feather|ipc)(\.gz)?$/i;
+
+// Lets the user choose which file of a zip archive to load
+const ZipEntryPicker = ({ archiveName, entries, onPick, onCancel }) => {
+  const sorted = [
+    ...entries.filter(entry => DATA_FILE_PATTERN.test(entry.name)),
+    ...entries.filter(entry => !DATA_FILE_PATTERN.test(entry.name))
+  ];
+
+  const cellStyle = { padding: '0.5rem', border: '1px solid #e2e8f0', verticalAlign: 'middle' };
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'center',
+      padding: '2rem 1rem',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        padding: '1.5rem',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.12)',
+        maxWidth: '720px',
+        width: '100%'
+      }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 600, marginBottom: '0.5rem' }}>
+          Choose a File
+        </h2>
+        <p style={{ color: '#4a5568', fontSize: '0.875rem', marginBottom: '1rem' }}>
+          <strong>{archiveName}</strong> contains {entries.length} files. Pick the one to load.
+        </p>
+
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f1f5f9', textAlign: 'left' }}>
+                <th style={cellStyle}>File</th>
+                <th style={cellStyle}>Size</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((entry, index) => {
+                const supported = DATA_FILE_PATTERN.test(entry.name);
+                return (
+                  <tr key={entry.name} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc' }}>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace', color: supported ? '#1a202c' : '#a0aec0' }}>
+                      {entry.name}
+                    </td>
+                    <td style={{ ...cellStyle, color: '#4a5568', whiteSpace: 'nowrap' }}>{formatBytes(entry.size)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>
+                      <button
+                        onClick={() => onPick(entry)}
+                        style={{
+                          padding: '0.25rem 0.75rem',
+                          fontWeight: 500,
+                          backgroundColor: supported ? '#5a67d8' : 'white',
+                          color: supported ? 'white' : '#4a5568',
+                          border: supported ? 'none' : '1px solid #cbd5e0',
+                          borderRadius: '0.375rem',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Load
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1rem' }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: '0.5rem 1rem',
+              fontWeight: 500,
+              backgroundColor: 'white',
+              color: '#4a5568',
+              border: '1px solid #cbd5e0',
+              borderRadius: '0.375rem',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ZipEntryPicker;
@@ -0,0 +1,224 @@
+// src/alignment.js
+
+// Seeds are exact k-mer matches between query and reference
+const SEED_LENGTH = 21;
+const SEED_STEP = 25;
+const MIN_SEEDS = 5;
+// Extra diagonals searched on each side of the seeded ones
+const BAND_PADDING = 40;
+// Wider bands mean seeding went wrong; give up rather than exhaust memory
+const MAX_BAND_WIDTH = 2500;
+
+const MATCH = 2;
+const MISMATCH = -3;
+const GAP_OPEN = -8;
+const GAP_EXTEND = -1;
+const NEG = -1000000000;
+
+// Query positions that are not aligned to the reference
+export const DELETED = -1;
+export const UNCOVERED = -2;
+
+const isBase = (c) => c === 'A' || c === 'C' || c === 'G' || c === 'T';
+
+// Ambiguity codes (N, R, Y...) neither reward nor penalise
+const score = (q, r) => {
+  if (!isBase(q)) return 0;
+  return q === r ? MATCH : MISMATCH;
+};
+
+// Index of k-mers that occur exactly once in the reference
+export const buildSeedIndex = (reference) => {
+  const index = new Map();
+  for (let i = 0; i + SEED_LENGTH <= reference.length; i++) {
+    const kmer = reference.substr(i, SEED_LENGTH);
+    index.set(kmer, index.has(kmer) ? -1 : i);
+  }
+  return index;
+};
+
+// Longest chain of seeds increasing in both query and reference position
+const chainSeeds = (seeds) => {
+  const tails = [];
+  const tailIndex = [];
+  const previous = new Array(seeds.length).fill(-1);
+
+  seeds.forEach((seed, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < seed.ref) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = seed.ref;
+    tailIndex[lo] = i;
+    previous[i] = lo > 0 ? tailIndex[lo - 1] : -1;
+  });
+
+  const chain = [];
+  for (let i = tailIndex[tails.length - 1]; i !== undefined && i !== -1; i = previous[i]) {
+    chain.push(seeds[i]);
+  }
+  return chain.reverse();
+};
+
+const findBand = (query, seedIndex) => {
+  const seeds = [];
+  for (let q = 0; q + SEED_LENGTH <= query.length; q += SEED_STEP) {
+    const ref = seedIndex.get(query.substr(q, SEED_LENGTH));
+    if (ref !== undefined && ref !== -1) {
+      seeds.push({ query: q, ref });
+    }
+  }
+
+  const chain = chainSeeds(seeds);
+  if (chain.length < MIN_SEEDS) return null;
+
+  let minDiagonal = Infinity;
+  let maxDiagonal = -Infinity;
+  chain.forEach(seed => {
+    const diagonal = seed.ref - seed.query;
+    if (diagonal < minDiagonal) minDiagonal = diagonal;
+    if (diagonal > maxDiagonal) maxDiagonal = diagonal;
+  });
+
+  return { lo: minDiagonal - BAND_PADDING, hi: maxDiagonal + BAND_PADDING };
+};
+
+// Banded overlap alignment with affine gaps (Gotoh). Overhangs at either end
+// of either sequence are free, so partial genomes align without penalty.
+//
+// Returns { refToQuery, insertions } where refToQuery[j] is the query index
+// aligned to reference position j (0-based), DELETED or UNCOVERED, and
+// insertions lists query bases that have no reference position.
+export const alignToReference = (query, reference, seedIndex) => {
+  const band = findBand(query, seedIndex);
+  if (!band) {
+    throw new Error('too few matches with the reference to align');
+  }
+
+  const n = query.length;
+  const m = reference.length;
+  const { lo, hi } = band;
+  const width = hi - lo + 1;
+  if (width > MAX_BAND_WIDTH) {
+    throw new Error('sequence is too divergent from the reference to align');
+  }
+
+  // Per cell: bits 0-1 best predecessor of M (0 M, 1 X, 2 Y, 3 alignment start),
+  // bit 2 X extends a gap, bit 3 Y extends a gap
+  const trace = new Uint8Array((n + 1) * width);
+
+  let prevM = new Int32Array(width).fill(NEG);
+  let prevX = new Int32Array(width).fill(NEG);
+  let prevY = new Int32Array(width).fill(NEG);
+  let currM = new Int32Array(width);
+  let currX = new Int32Array(width);
+  let currY = new Int32Array(width);
+
+  let best = NEG;
+  let bestI = 0;
+  let bestJ = 0;
+
+  for (let i = 1; i <= n; i++) {
+    currM.fill(NEG);
+    currX.fill(NEG);
+    currY.fill(NEG);
+
+    const jStart = Math.max(1, i + lo);
+    const jEnd = Math.min(m, i + hi);
+    const q = query[i - 1];
+
+    for (let j = jStart; j <= jEnd; j++) {
+      const k = j - i - lo;
+      const cell = i * width + k;
+      let bits = 0;
+
+      // Diagonal predecessor (i-1, j-1) has the same band offset in the previous row
+      let diag;
+      let from;
+      if (i === 1 || j === 1) {
+        diag = 0;
+        from = 3;
+      } else {
+        diag = prevM[k];
+        from = 0;
+        if (prevX[k] > diag) { diag = prevX[k]; from = 1; }
+        if (prevY[k] > diag) { diag = prevY[k]; from = 2; }
+        if (diag < 0) { diag = 0; from = 3; }
+      }
+      currM[k] = diag + score(q, reference[j - 1]);
+      bits |= from;
+
+      // Deletion: gap in the query, from (i, j-1)
+      if (k > 0) {
+        const open = currM[k - 1] + GAP_OPEN;
+        const extend = currX[k - 1] + GAP_EXTEND;
+        if (extend > open) {
+          currX[k] = extend;
+          bits |= 4;
+        } else {
+          currX[k] = open;
+        }
+      }
+
+      // Insertion: gap in the reference, from (i-1, j)
+      if (k + 1 < width) {
+        const open = prevM[k + 1] + GAP_OPEN;
+        const extend = prevY[k + 1] + GAP_EXTEND;
+        if (extend > open) {
+          currY[k] = extend;
+          bits |= 8;
+        } else {
+          currY[k] = open;
+        }
+      }
+
+      trace[cell] = bits;
+
+      if ((i === n || j === m) && currM[k] > best) {
+        best = currM[k];
+        bestI = i;
+        bestJ = j;
+      }
+    }
+
+    [prevM, currM] = [currM, prevM];
+    [prevX, currX] = [currX, prevX];
+    [prevY, currY] = [currY, prevY];
+  }
+
+  const refToQuery = new Int32Array(m).fill(UNCOVERED);
+  const insertions = [];
+  let i = bestI;
+  let j = bestJ;
+  let state = 0;
+  let insertion = '';
+
+  while (i > 0 && j > 0) {
+    const bits = trace[i * width + (j - i - lo)];
+    if (state === 0) {
+      if (insertion) {
+        insertions.unshift({ after: j, bases: insertion });
+        insertion = '';
+      }
+      refToQuery[j - 1] = i - 1;
+      const from = bits & 3;
+      i--;
+      j--;
+      if (from === 3) break;
+      state = from;
+    } else if (state === 1) {
+      refToQuery[j - 1] = DELETED;
+      state = bits & 4 ? 1 : 0;
+      j--;
+    } else {
+      insertion = query[i - 1] + insertion;
+      state = bits & 8 ? 2 : 0;
+      i--;
+    }
+  }
+
+  return { refToQuery, insertions };
+};
@@ -0,0 +1,218 @@
+// src/analytics.js
+// The dashboard's analyses as plain functions of the rows: no React, no
+// chart objects. Counting and grouping go through the rows' sample store,
+// built on first use and shared by later calls on the same array. Imports
+// carry their extensions so scripts can use this module from Node as well.
+import { getSampleStore, intersectIds, rowMutations } from './sampleStore.js';
+
+export { rowMutations };
+
+export const AGE_GROUPS = [
+  '0-9', '10-19', '20-29', '30-39', '40-49',
+  '50-59', '60-69', '70-79', '80-89', '90+'
+];
+
+// Keys of a store index by how many samples they have, largest first:
+// [[key, ids]]
+const largestGroups = (index, limit = Infinity) =>
+  [...index.entries()].sort((a, b) => b[1].length - a[1].length).slice(0, limit);
+
+// The store's month index for an imprecise date setting
+const monthIndex = (store, imprecise) =>
+  (imprecise === 'assign' ? store.indexes.assignedMonth : store.indexes.month);
+
+// { month: samples } among the given sample ids
+const countMonths = (store, ids, imprecise) => {
+  const counts = {};
+  ids.forEach(id => {
+    const month = store.monthOf(id, imprecise);
+    if (month) counts[month] = (counts[month] || 0) + 1;
+  });
+  return counts;
+};
+
+const hasTotal = (row) => row.totalSubstitutions !== undefined && !isNaN(row.totalSubstitutions);
+
+// Headline numbers, as shown in the stats cards
+export const summarizeDataset = (rows) => {
+  const store = getSampleStore(rows);
+
+  let totalMutations = 0;
+  let countSamples = 0;
+  rows.forEach(row => {
+    if (hasTotal(row)) {
+      totalMutations += row.totalSubstitutions;
+      countSamples++;
+    }
+  });
+
+  return {
+    totalSamples: rows.length,
+    uniqueLineages: store.indexes.lineage.size,
+    uniqueCountries: store.indexes.country.size,
+    avgMutations: countSamples > 0 ? totalMutations / countSamples : 0,
+    dateRange: store.dateRange(store.select())
+  };
+};
+
+// Most common lineages: [{ lineage, count }]
+export const countLineages = (rows, { limit = Infinity } = {}) =>
+  largestGroups(getSampleStore(rows).indexes.lineage, limit)
+    .map(([lineage, ids]) => ({ lineage, count: ids.length }));
+
+// Every lineage, most common first, with its share (%) of the samples that
+// have a lineage and its first and last collection dates ('' when none):
+// [{ lineage, count, share, first, last }]
+export const describeLineages = (rows) => {
+  const store = getSampleStore(rows);
+  const lineages = largestGroups(store.indexes.lineage);
+  const total = lineages.reduce((sum, [, ids]) => sum + ids.length, 0);
+  return lineages.map(([lineage, ids]) => {
+    const { min, max } = store.dateRange(ids);
+    return { lineage, count: ids.length, share: (ids.length / total) * 100, first: min, last: max };
+  });
+};
+
+// Samples per month, oldest first: [{ month: 'YYYY-MM', count }]. Year-only
+// dates are left out, or counted in January with imprecise = 'assign'.
+export const countByMonth = (rows, { imprecise = 'exclude' } = {}) => {
+  return [...monthIndex(getSampleStore(rows), imprecise).entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([month, ids]) => ({ month, count: ids.length }));
+};
+
+// Samples per sex value, in the order the values first appear: [{ sex, count }]
+export const countSexes = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    if (!row.sex) return;
+    const sex = typeof row.sex === 'string' ? row.sex.trim() : String(row.sex);
+    if (sex) counts[sex] = (counts[sex] || 0) + 1;
+  });
+  return Object.entries(counts).map(([sex, count]) => ({ sex, count }));
+};
+
+// Samples per AGE_GROUPS decade: [{ group, count }], or [] without any ages
+export const countAgeGroups = (rows) => {
+  const ages = rows
+    .filter(row => row.age !== undefined && row.age !== null && !isNaN(row.age))
+    .map(row => parseFloat(row.age));
+  if (ages.length === 0) return [];
+
+  return AGE_GROUPS.map(group => {
+    const [min, max] = group.replace('+', '').split('-').map(Number);
+    return {
+      group,
+      count: ages.filter(age => age >= min && (max === undefined || age <= max)).length
+    };
+  });
+};
+
+// Share (%) of each month's samples in the `top` most common lineages, the
+// rest as 'Other': { months: ['YYYY-MM'], series: [{ lineage, shares }] }
+export const lineageSharesByMonth = (rows, { top = 8, imprecise = 'exclude' } = {}) => {
+  const store = getSampleStore(rows);
+  const byMonth = monthIndex(store, imprecise);
+  // Only samples with a lineage count towards a month's shares
+  const totals = {};
+  byMonth.forEach((ids, month) => {
+    const count = ids.filter(id => rows[id].pango_lineage).length;
+    if (count > 0) totals[month] = count;
+  });
+  const months = Object.keys(totals).sort();
+
+  const series = countLineages(rows, { limit: top }).map(({ lineage }) => ({
+    lineage,
+    counts: countMonths(store, store.indexes.lineage.get(lineage), imprecise)
+  }));
+  const shareOf = (month, count) => (count / totals[month]) * 100;
+
+  return {
+    months,
+    series: [
+      ...series.map(({ lineage, counts }) => ({
+        lineage,
+        shares: months.map(month => shareOf(month, counts[month] || 0))
+      })),
+      {
+        lineage: 'Other',
+        shares: months.map(month => shareOf(month,
+          totals[month] - series.reduce((sum, { counts }) => sum + (counts[month] || 0), 0)))
+      }
+    ]
+  };
+};
+
+// Mutation counts and how they relate to lineages and to each other:
+//   top: [{ mutation, count }], the `limit` carried by most samples
+//   spike: [{ mutation, count }], the `spikeLimit` most common S: mutations
+//   burden: [{ lineage, average }], mean totalSubstitutions of the
+//     `lineageLimit` most common lineages that have it
+//   cooccurrence: { mutation: { otherMutation: samples } } among the top ones
+export const analyzeMutations = (rows, { limit = 15, spikeLimit = 10, lineageLimit = 10 } = {}) => {
+  const store = getSampleStore(rows);
+  const { mutation: byMutation, lineage: byLineage } = store.indexes;
+
+  const top = largestGroups(byMutation, limit).map(([mutation, ids]) => ({ mutation, count: ids.length }));
+  const spike = largestGroups(
+    new Map([...byMutation].filter(([mutation]) => mutation.startsWith('S:'))),
+    spikeLimit
+  ).map(([mutation, ids]) => ({ mutation, count: ids.length }));
+
+  const burden = [];
+  largestGroups(byLineage, lineageLimit).forEach(([lineage, ids]) => {
+    let total = 0;
+    let samples = 0;
+    ids.forEach(id => {
+      if (hasTotal(rows[id])) {
+        total += rows[id].totalSubstitutions;
+        samples++;
+      }
+    });
+    if (samples > 0) burden.push({ lineage, average: total / samples });
+  });
+
+  const cooccurrence = {};
+  top.forEach(({ mutation }) => { cooccurrence[mutation] = {}; });
+  top.forEach(({ mutation }, i) => {
+    top.slice(i + 1).forEach(({ mutation: other }) => {
+      const samples = intersectIds(byMutation.get(mutation), byMutation.get(other)).length;
+      cooccurrence[mutation][other] = samples;
+      cooccurrence[other][mutation] = samples;
+    });
+  });
+
+  return { top, spike, burden, cooccurrence };
+};
+
+// Samples carrying each of `mutations`, in the order given: [{ mutation, count }]
+export const countMutations = (rows, { mutations }) => {
+  const { indexes } = getSampleStore(rows);
+  return mutations.map(mutation => ({ mutation, count: (indexes.mutation.get(mutation) || []).length }));
+};
+
+// Mutations per gene (the part before ':'), in the order genes first appear:
+// [{ protein, count }]
+export const countMutationsByProtein = (rows) => {
+  const counts = {};
+  getSampleStore(rows).indexes.mutation.forEach((ids, mutation) => {
+    if (!mutation.includes(':')) return;
+    const protein = mutation.split(':')[0];
+    counts[protein] = (counts[protein] || 0) + ids.length;
+  });
+  return Object.entries(counts).map(([protein, count]) => ({ protein, count }));
+};
+
+// Monthly counts of samples carrying each of `mutations`:
+// { months: ['YYYY-MM'], series: [{ mutation, counts }] }
+export const mutationTimeline = (rows, { mutations, imprecise = 'exclude' }) => {
+  const store = getSampleStore(rows);
+  const months = [...monthIndex(store, imprecise).keys()].sort();
+  return {
+    months,
+    series: mutations.map(mutation => {
+      const counts = countMonths(store, store.indexes.mutation.get(mutation) || [], imprecise);
+      return { mutation, counts: months.map(month => counts[month] || 0) };
+    })
+  };
+};
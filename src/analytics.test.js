@@ -0,0 +1,111 @@
+// src/analytics.test.js
+import {
+  countByMonth,
+  analyzeMutations,
+  lineageSharesByMonth,
+  mutationTimeline,
+  rowMutations
+} from './analytics.js';
+import { createSampleStore, intersectIds } from './sampleStore.js';
+import { normalizeDates } from './dates.js';
+
+const sample = (pango_lineage, date, substitutions = '', extra = {}) =>
+  ({ pango_lineage, date, substitutions, ...extra });
+
+const makeRows = () => normalizeDates([
+  sample('BA.1', '2022-01-05', 'S:D614G,S:N501Y'),
+  sample('BA.1', '2022-01-20', 'S:D614G,S:N501Y,N:R203K', { country: 'Peru' }),
+  sample('BA.2', '2022-02-03', 'S:D614G', { country: 'Peru' }),
+  sample('BA.2', '2022', 'S:D614G,N:R203K'),
+  sample('', '2022-02-14', 'S:N501Y', { country: 'Chile' }),
+  sample('B.1', '2022-02-28', '')
+]);
+
+test('year-only dates are left out of month bins, or counted in January', () => {
+  const rows = makeRows();
+  expect(countByMonth(rows)).toEqual([
+    { month: '2022-01', count: 2 },
+    { month: '2022-02', count: 3 }
+  ]);
+  expect(countByMonth(rows, { imprecise: 'assign' })).toEqual([
+    { month: '2022-01', count: 3 },
+    { month: '2022-02', count: 3 }
+  ]);
+  expect(mutationTimeline(rows, { mutations: ['N:R203K'], imprecise: 'assign' }).series)
+    .toEqual([{ mutation: 'N:R203K', counts: [2, 0] }]);
+});
+
+test('co-occurrence counts samples carrying both mutations', () => {
+  const { top, cooccurrence } = analyzeMutations(makeRows());
+  expect(top).toEqual([
+    { mutation: 'S:D614G', count: 4 },
+    { mutation: 'S:N501Y', count: 3 },
+    { mutation: 'N:R203K', count: 2 }
+  ]);
+  expect(cooccurrence).toEqual({
+    'S:D614G': { 'S:N501Y': 2, 'N:R203K': 2 },
+    'S:N501Y': { 'S:D614G': 2, 'N:R203K': 1 },
+    'N:R203K': { 'S:D614G': 2, 'S:N501Y': 1 }
+  });
+});
+
+test('a mutation listed twice in a sample counts once', () => {
+  const rows = normalizeDates([sample('BA.1', '2022-01-05', 'S:D614G, S:D614G')]);
+  expect(analyzeMutations(rows).top).toEqual([{ mutation: 'S:D614G', count: 1 }]);
+});
+
+test('rowMutations splits a row once and again after substitutions changes', () => {
+  const row = { substitutions: 'S:D614G, N:R203K,' };
+  const first = rowMutations(row);
+  expect(first).toEqual(['S:D614G', 'N:R203K']);
+  expect(rowMutations(row)).toBe(first);
+
+  row.substitutions = 'S:N501Y';
+  expect(rowMutations(row)).toEqual(['S:N501Y']);
+  row.substitutions = ['S:E484K', ' S:K417N '];
+  expect(rowMutations(row)).toEqual(['S:E484K', 'S:K417N']);
+});
+
+test('lineage shares put the lineages outside the top ones in Other', () => {
+  const { months, series } = lineageSharesByMonth(makeRows(), { top: 1 });
+  expect(months).toEqual(['2022-01', '2022-02']);
+  // BA.1 and BA.2 are tied; the sample without a lineage isn't counted
+  expect(series).toEqual([
+    { lineage: 'BA.1', shares: [100, 0] },
+    { lineage: 'Other', shares: [0, 100] }
+  ]);
+
+  const all = lineageSharesByMonth(makeRows(), { imprecise: 'assign' });
+  expect(all.series.map(({ lineage }) => lineage)).toEqual(['BA.1', 'BA.2', 'B.1', 'Other']);
+  expect(all.series[1].shares).toEqual([(1 / 3) * 100, 50]);
+  expect(all.series[3].shares).toEqual([0, 0]);
+});
+
+test('intersectIds keeps the ids in both sorted lists', () => {
+  expect(intersectIds([1, 3, 5, 7], [2, 3, 4, 7, 9])).toEqual([3, 7]);
+  expect(intersectIds([1, 2], [])).toEqual([]);
+  expect(intersectIds([], [1])).toEqual([]);
+});
+
+test('select matches every filter, with imprecise dates assigned on request', () => {
+  const store = createSampleStore(makeRows());
+  expect(store.select()).toEqual([0, 1, 2, 3, 4, 5]);
+  expect(store.select({ mutation: 'S:D614G' })).toEqual([0, 1, 2, 3]);
+  expect(store.select({ lineage: 'BA.2', mutation: 'N:R203K' })).toEqual([3]);
+  expect(store.select({ country: 'Peru', month: '2022-02' })).toEqual([2]);
+  expect(store.select({ lineage: 'BA.2', month: '2022-01' })).toEqual([]);
+  expect(store.select({ lineage: 'BA.2', month: '2022-01', imprecise: 'assign' })).toEqual([3]);
+  expect(store.select({ lineage: 'XBB' })).toEqual([]);
+});
+
+test('dateRange gives the earliest and latest date of the samples', () => {
+  const store = createSampleStore(normalizeDates([
+    sample('BA.1', '2022-03-01'),
+    sample('BA.1', ''),
+    sample('BA.2', '2021-12-24'),
+    sample('BA.2', '2022-02')
+  ]));
+  expect(store.dateRange(store.select())).toEqual({ min: '2021-12-24', max: '2022-03-01' });
+  expect(store.dateRange(store.select({ lineage: 'BA.1' }))).toEqual({ min: '2022-03-01', max: '2022-03-01' });
+  expect(store.dateRange([1])).toEqual({ min: '', max: '' });
+});
@@ -0,0 +1,101 @@
+// src/analytics.worker.js
+/* eslint-disable no-restricted-globals */
+import {
+  summarizeDataset,
+  countLineages,
+  describeLineages,
+  countByMonth,
+  countSexes,
+  countAgeGroups,
+  lineageSharesByMonth,
+  analyzeMutations,
+  countMutations,
+  countMutationsByProtein,
+  mutationTimeline
+} from './analytics.js';
+
+// Messages in:
+//   { type: 'dataset', datasetId, rows }: the rows later requests work on
+//   { type: 'compute', requestId, datasetId, analyses }: analyses is { name: options }
+//   { type: 'cancel', requestId }
+// Messages out: { type: 'result', requestId, results } with { name: result },
+// results null when the request was cancelled or its dataset replaced, or
+// { type: 'error', requestId, message }.
+
+let dataset = { id: 0, rows: [], results: new Map() };
+const queue = [];
+const cancelled = new Set();
+let running = false;
+let currentRequestId = null;
+
+// Results are kept for the current dataset, so changing one filter only
+// recomputes the analyses whose options changed
+const run = (name, options = {}) => {
+  const key = `${name}:${JSON.stringify(options)}`;
+  if (!dataset.results.has(key)) {
+    dataset.results.set(key, ANALYSES[name](dataset.rows, options));
+  }
+  return dataset.results.get(key);
+};
+
+const ANALYSES = {
+  summarizeDataset,
+  countLineages,
+  describeLineages,
+  countByMonth,
+  countSexes,
+  countAgeGroups,
+  lineageSharesByMonth,
+  analyzeMutations,
+  countMutations,
+  countMutationsByProtein,
+  // Without `mutations`, follows the `top` most common ones
+  mutationTimeline: (rows, { mutations, top = 5, ...options }) => mutationTimeline(rows, {
+    ...options,
+    mutations: mutations || run('analyzeMutations').top.slice(0, top).map(({ mutation }) => mutation)
+  })
+};
+
+// Let cancel messages that arrived meanwhile be handled
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const processQueue = async () => {
+  if (running) return;
+  running = true;
+  await nextTask();
+  while (queue.length > 0) {
+    const { requestId, datasetId, analyses } = queue.shift();
+    currentRequestId = requestId;
+    try {
+      const results = {};
+      for (const [name, options] of Object.entries(analyses)) {
+        if (cancelled.has(requestId) || datasetId !== dataset.id) break;
+        if (!ANALYSES[name]) throw new Error(`unknown analysis ${name}`);
+        results[name] = run(name, options);
+        await nextTask();
+      }
+      const stale = cancelled.has(requestId) || datasetId !== dataset.id;
+      self.postMessage({ type: 'result', requestId, results: stale ? null : results });
+    } catch (error) {
+      self.postMessage({ type: 'error', requestId, message: error.message });
+    }
+    cancelled.delete(requestId);
+  }
+  currentRequestId = null;
+  running = false;
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'dataset') {
+    dataset = { id: message.datasetId, rows: message.rows, results: new Map() };
+  } else if (message.type === 'compute') {
+    queue.push(message);
+    processQueue();
+  } else if (message.type === 'cancel') {
+    // Requests that already finished have nothing left to cancel
+    if (message.requestId === currentRequestId || queue.some(request => request.requestId === message.requestId)) {
+      cancelled.add(message.requestId);
+    }
+  }
+};
@@ -0,0 +1,66 @@
+// src/analyticsEngine.js
+
+// Run analytics.js in a worker so the tab bar stays responsive while charts
+// are recomputed. compute(channel, rows, analyses) takes analyses as
+// { name: options } and resolves to { name: result }, or to null when a later
+// request on the same channel superseded it. Rows are posted to the worker
+// once per array, so requests for the same dataset don't copy it again.
+export const createAnalyticsEngine = () => {
+  const worker = new Worker(new URL('./analytics.worker.js', import.meta.url));
+  // requestId -> { resolve, reject }
+  const pending = new Map();
+  // channel -> requestId of its latest request
+  const channels = new Map();
+  let nextRequestId = 1;
+  let datasetId = 0;
+  let currentRows = null;
+
+  worker.onmessage = (event) => {
+    const { type, requestId, results, message } = event.data;
+    const request = pending.get(requestId);
+    if (!request) return;
+    pending.delete(requestId);
+    if (type === 'result') {
+      request.resolve(results);
+    } else {
+      request.reject(new Error(message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Analytics worker failed');
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  };
+
+  const cancel = (requestId) => {
+    const request = pending.get(requestId);
+    if (!request) return;
+    pending.delete(requestId);
+    worker.postMessage({ type: 'cancel', requestId });
+    request.resolve(null);
+  };
+
+  const compute = (channel, rows, analyses) =>
+    new Promise((resolve, reject) => {
+      cancel(channels.get(channel));
+      if (rows !== currentRows) {
+        currentRows = rows;
+        datasetId += 1;
+        worker.postMessage({ type: 'dataset', datasetId, rows });
+      }
+      const requestId = nextRequestId++;
+      pending.set(requestId, { resolve, reject });
+      channels.set(channel, requestId);
+      worker.postMessage({ type: 'compute', requestId, datasetId, analyses });
+    });
+
+  return {
+    compute,
+    terminate: () => {
+      worker.terminate();
+      pending.forEach(request => request.resolve(null));
+      pending.clear();
+    }
+  };
+};
@@ -0,0 +1,134 @@
+// src/annotations.js
+import { parseCsvFile } from './csvStream.js';
+import {
+  isNextcladeTable,
+  isNextcladeJson,
+  convertNextcladeRows,
+  convertNextcladeJson,
+  NEXTCLADE_FIELDS
+} from './nextclade.js';
+import { isPangolinReport, convertPangolinRows, PANGOLIN_FIELDS } from './pangolin.js';
+import { isFastaFile } from './fasta.js';
+import { analyzeFastaFile, FASTA_FIELDS } from './fastaAnalysis.js';
+import { isVcfFile, readVcfFiles, VCF_FIELDS } from './vcf.js';
+import { decompressIfGzip } from './compression.js';
+
+// Columns that may hold the sequence name, in order of preference
+const SEQUENCE_NAME_COLUMNS = ['strain', 'seqName', 'Virus name', 'sequence_name', 'taxon', 'name', 'sample_id'];
+
+// FASTA headers often carry extra fields (hCoV-19/India/KL-1/2021|EPI_ISL_123|2021-03-01)
+// and GISAID names a prefix the other tools drop
+export const normalizeSequenceName = (name) =>
+  String(name)
+    .split('|')[0]
+    .trim()
+    .replace(/^(hCoV-19|SARS-CoV-2)\//i, '')
+    .toLowerCase();
+
+export const findSequenceNameColumn = (rows) => {
+  const sample = rows.find(Boolean) || {};
+  return SEQUENCE_NAME_COLUMNS.find(column => column in sample) || null;
+};
+
+// Read a per-sequence annotation file and convert it to CovBoard rows.
+// Resolves to { kind, rows, fields } where fields are the columns to join.
+export const readAnnotationFile = async (file) => {
+  file = await decompressIfGzip(file);
+
+  if (isFastaFile(file)) {
+    const { rows } = await analyzeFastaFile(file);
+    return { kind: 'FASTA', rows, fields: FASTA_FIELDS };
+  }
+
+  if (/\.json$/i.test(file.name)) {
+    const json = JSON.parse(await file.text());
+    if (isNextcladeJson(json)) {
+      return { kind: 'Nextclade', rows: convertNextcladeJson(json), fields: NEXTCLADE_FIELDS };
+    }
+    throw new Error('JSON file is not Nextclade output (no "results" array)');
+  }
+
+  const { rows, fields } = await parseCsvFile(file);
+  if (isNextcladeTable(fields)) {
+    return { kind: 'Nextclade', rows: convertNextcladeRows(rows), fields: NEXTCLADE_FIELDS };
+  }
+  if (isPangolinReport(fields)) {
+    return { kind: 'Pangolin', rows: convertPangolinRows(rows), fields: PANGOLIN_FIELDS };
+  }
+  throw new Error('Unrecognised annotation file: expected Nextclade output or a pangolin lineage report');
+};
+
+// Several files can only be joined together when they are all VCFs
+export const readAnnotationFiles = async (files) => {
+  if (files.every(isVcfFile)) {
+    return { kind: 'VCF', rows: await readVcfFiles(files), fields: VCF_FIELDS };
+  }
+  if (files.length > 1) {
+    throw new Error('Only VCF files can be joined several at a time');
+  }
+  return readAnnotationFile(files[0]);
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Copy annotation fields onto the rows whose sequence name matches. With
+// mode 'fill' existing values are kept; with 'overwrite' annotations win.
+// Returns new row objects for matched rows and a summary of what changed.
+export const joinAnnotations = (rows, annotations, { fields, mode = 'overwrite' }) => {
+  const keyColumn = findSequenceNameColumn(rows);
+  if (!keyColumn) {
+    throw new Error(`The loaded dataset has no sequence name column (${SEQUENCE_NAME_COLUMNS.join(', ')})`);
+  }
+
+  const annotationsByName = new Map();
+  annotations.forEach(annotation => {
+    if (hasValue(annotation.strain)) {
+      annotationsByName.set(normalizeSequenceName(annotation.strain), annotation);
+    }
+  });
+
+  const joinFields = fields.filter(field => field !== 'strain');
+  const usedNames = new Set();
+  const changedFields = {};
+  const filledFields = {};
+  let matched = 0;
+  let unassigned = 0;
+
+  const joinedRows = rows.map(row => {
+    if (!hasValue(row[keyColumn])) return row;
+    const name = normalizeSequenceName(row[keyColumn]);
+    const annotation = annotationsByName.get(name);
+    if (!annotation) return row;
+
+    matched++;
+    usedNames.add(name);
+    const joined = { ...row };
+    joinFields.forEach(field => {
+      const value = annotation[field];
+      if (!hasValue(value)) return;
+      if (hasValue(row[field])) {
+        if (mode === 'fill' || row[field] === value) return;
+        changedFields[field] = (changedFields[field] || 0) + 1;
+      } else {
+        filledFields[field] = (filledFields[field] || 0) + 1;
+      }
+      joined[field] = value;
+    });
+    if (!hasValue(joined.pango_lineage)) unassigned++;
+    return joined;
+  });
+
+  return {
+    rows: joinedRows,
+    summary: {
+      keyColumn,
+      matched,
+      unmatchedSamples: rows.length - matched,
+      unmatchedAnnotations: annotationsByName.size - usedNames.size,
+      changedFields,
+      filledFields,
+      // Matched samples that still have no lineage after the join
+      unassigned
+    }
+  };
+};
@@ -0,0 +1,138 @@
+// src/append.js
+
+const STORAGE_KEY = 'covboard.appendSettings';
+
+// Columns tried, in order, as the sample ID when none has been chosen before
+const ID_COLUMN_PREFERENCE = ['accession', 'gisaid_epi_isl', 'strain', 'seqName', 'Virus name', 'sample_id', 'name'];
+
+// How a batch row is applied when its ID is already in the dataset
+export const CONFLICT_RULES = {
+  replace: 'Replace with the new row',
+  fill: 'Keep existing values, fill gaps from the new row',
+  keep: 'Keep the existing row, reject the new one'
+};
+
+export const loadAppendSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveAppendSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error('Could not save append settings:', e);
+  }
+};
+
+const columnsOf = (rows) => {
+  const columns = new Set();
+  rows.slice(0, 100).forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return columns;
+};
+
+// Columns present in both the dataset and the batch, usable as the sample ID
+export const getIdColumnOptions = (rows, batchRows) => {
+  const batchColumns = columnsOf(batchRows);
+  return Array.from(columnsOf(rows)).filter(column => batchColumns.has(column));
+};
+
+// The column chosen before, or a recognised ID column; '' when there is neither
+export const findIdColumn = (options, saved) => {
+  if (saved && options.includes(saved)) return saved;
+  return ID_COLUMN_PREFERENCE.find(column => options.includes(column)) || '';
+};
+
+export const suggestIdColumn = (options, saved) => findIdColumn(options, saved) || options[0] || '';
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const normalizeId = (value) => (hasValue(value) ? String(value).trim() : '');
+
+const sameValue = (a, b) => (hasValue(a) ? String(a) : '') === (hasValue(b) ? String(b) : '');
+
+const differingColumns = (existing, incoming) => {
+  const columns = new Set([...Object.keys(existing), ...Object.keys(incoming)]);
+  return Array.from(columns).filter(column => !sameValue(existing[column], incoming[column]));
+};
+
+// Merge a batch into the dataset, matching rows on idColumn. Returns the
+// merged rows and { added, updated, unchanged, rejected: [{ row, reason }],
+// conflicts: [{ row, columns }] }, conflicts being the rows 'fill' took gaps
+// from while keeping the existing values of the columns listed.
+// Duplicates inside the batch are applied in order with the same rule.
+export const mergeBatch = (rows, batchRows, { idColumn, conflictRule = 'replace' }) => {
+  const merged = [...rows];
+  const indexById = new Map();
+  merged.forEach((row, index) => {
+    const id = normalizeId(row[idColumn]);
+    if (id) indexById.set(id, index);
+  });
+
+  // Rows added by this batch are reported as added even if a later duplicate changes them
+  const addedIndexes = new Set();
+  const updatedIndexes = new Set();
+  let unchanged = 0;
+  const rejected = [];
+  const conflicts = [];
+
+  batchRows.forEach(row => {
+    const id = normalizeId(row[idColumn]);
+    if (!id) {
+      rejected.push({ row, reason: `no ${idColumn}` });
+      return;
+    }
+
+    if (!indexById.has(id)) {
+      indexById.set(id, merged.length);
+      addedIndexes.add(merged.length);
+      merged.push(row);
+      return;
+    }
+
+    const index = indexById.get(id);
+    const existing = merged[index];
+    const differences = differingColumns(existing, row);
+    if (differences.length === 0) {
+      unchanged++;
+      return;
+    }
+
+    if (conflictRule === 'keep') {
+      rejected.push({ row, reason: `conflicts with existing ${id} (${differences.join(', ')})` });
+      return;
+    }
+
+    let next = row;
+    if (conflictRule === 'fill') {
+      const gaps = differences.filter(column => !hasValue(existing[column]));
+      if (gaps.length === 0) {
+        rejected.push({ row, reason: `conflicts with existing ${id} (${differences.join(', ')})` });
+        return;
+      }
+      next = { ...existing };
+      gaps.forEach(column => {
+        next[column] = row[column];
+      });
+      const kept = differences.filter(column => hasValue(existing[column]));
+      if (kept.length > 0) conflicts.push({ row, columns: kept });
+    }
+
+    merged[index] = next;
+    if (!addedIndexes.has(index)) updatedIndexes.add(index);
+  });
+
+  return {
+    rows: merged,
+    summary: {
+      added: addedIndexes.size,
+      updated: updatedIndexes.size,
+      unchanged,
+      rejected,
+      conflicts
+    }
+  };
+};
@@ -0,0 +1,88 @@
+// src/append.test.js
+import { mergeBatch } from './append.js';
+
+const dataset = () => [
+  { accession: 'A1', pango_lineage: 'BA.1', country: 'Peru' },
+  { accession: 'A2', pango_lineage: 'BA.2', country: '' },
+  { accession: 'A3', pango_lineage: 'BA.2', country: 'Chile' }
+];
+
+const batch = [
+  { accession: 'A4', pango_lineage: 'XBB', country: 'Peru' },
+  { accession: 'A1', pango_lineage: 'BA.1', country: 'Peru' },
+  { accession: 'A2', pango_lineage: 'BA.5', country: 'Chile' },
+  { accession: 'A3', pango_lineage: 'BA.2', country: '' },
+  { accession: '', pango_lineage: 'BA.1', country: 'Peru' }
+];
+
+test('replace overwrites conflicting rows with the batch rows', () => {
+  const { rows, summary } = mergeBatch(dataset(), batch, { idColumn: 'accession', conflictRule: 'replace' });
+  expect(rows).toEqual([
+    { accession: 'A1', pango_lineage: 'BA.1', country: 'Peru' },
+    batch[2],
+    batch[3],
+    batch[0]
+  ]);
+  expect(summary).toMatchObject({ added: 1, updated: 2, unchanged: 1 });
+  expect(summary.rejected).toEqual([{ row: batch[4], reason: 'no accession' }]);
+});
+
+test('fill keeps existing values and only fills their gaps', () => {
+  const { rows, summary } = mergeBatch(dataset(), batch, { idColumn: 'accession', conflictRule: 'fill' });
+  // A2 gets its missing country but keeps its lineage; A3 has no gaps the
+  // batch row could fill, so the row is rejected
+  expect(rows[1]).toEqual({ accession: 'A2', pango_lineage: 'BA.2', country: 'Chile' });
+  expect(rows[2]).toEqual(dataset()[2]);
+  expect(summary).toMatchObject({ added: 1, updated: 1, unchanged: 1 });
+  expect(summary.rejected).toEqual([
+    { row: batch[3], reason: 'conflicts with existing A3 (country)' },
+    { row: batch[4], reason: 'no accession' }
+  ]);
+});
+
+test('keep rejects every conflicting row', () => {
+  const { rows, summary } = mergeBatch(dataset(), batch, { idColumn: 'accession', conflictRule: 'keep' });
+  expect(rows).toEqual([...dataset(), batch[0]]);
+  expect(summary).toMatchObject({ added: 1, updated: 0, unchanged: 1 });
+  expect(summary.rejected.map(({ reason }) => reason)).toEqual([
+    'conflicts with existing A2 (pango_lineage, country)',
+    'conflicts with existing A3 (country)',
+    'no accession'
+  ]);
+});
+
+test('duplicates within a batch are applied in order with the same rule', () => {
+  const duplicates = [
+    { accession: 'A5', pango_lineage: 'BA.1', country: '' },
+    { accession: 'A5', pango_lineage: 'BA.2', country: 'Peru' },
+    { accession: 'A1', pango_lineage: 'BA.4', country: 'Peru' },
+    { accession: 'A1', pango_lineage: 'BA.5', country: 'Peru' }
+  ];
+
+  const replaced = mergeBatch(dataset(), duplicates, { idColumn: 'accession', conflictRule: 'replace' });
+  expect(replaced.rows[3]).toEqual(duplicates[1]);
+  expect(replaced.rows[0]).toEqual(duplicates[3]);
+  // A row added by the batch stays added when a later duplicate changes it
+  expect(replaced.summary).toMatchObject({ added: 1, updated: 1, unchanged: 0, rejected: [] });
+
+  const filled = mergeBatch(dataset(), duplicates, { idColumn: 'accession', conflictRule: 'fill' });
+  expect(filled.rows[3]).toEqual({ accession: 'A5', pango_lineage: 'BA.1', country: 'Peru' });
+  expect(filled.rows[0]).toEqual(dataset()[0]);
+  expect(filled.summary.rejected.map(({ row }) => row)).toEqual([duplicates[2], duplicates[3]]);
+
+  const kept = mergeBatch(dataset(), duplicates, { idColumn: 'accession', conflictRule: 'keep' });
+  expect(kept.rows[3]).toEqual(duplicates[0]);
+  expect(kept.summary).toMatchObject({ added: 1, updated: 0 });
+  expect(kept.summary.rejected).toHaveLength(3);
+});
+
+test('fill reports the values it keeps when it also fills a gap', () => {
+  const row = { accession: 'A2', pango_lineage: 'BA.5', country: 'Chile' };
+  const { rows, summary } = mergeBatch(dataset(), [row], { idColumn: 'accession', conflictRule: 'fill' });
+  expect(rows[1]).toEqual({ accession: 'A2', pango_lineage: 'BA.2', country: 'Chile' });
+  expect(summary).toMatchObject({ updated: 1, rejected: [] });
+  expect(summary.conflicts).toEqual([{ row, columns: ['pango_lineage'] }]);
+
+  const replaced = mergeBatch(dataset(), [row], { idColumn: 'accession', conflictRule: 'replace' });
+  expect(replaced.summary.conflicts).toEqual([]);
+});
@@ -0,0 +1,111 @@
+// src/auspice.js
+
+// Node attributes that may hold a tip's Pango lineage, in order of preference
+const LINEAGE_ATTRS = ['pango_lineage', 'Nextclade_pango', 'pangolin_lineage', 'lineage'];
+
+export const isAuspiceJson = (json) =>
+  Boolean(json && json.tree && typeof json.tree === 'object' && !Array.isArray(json.tree) && (json.version === 'v2' || json.meta));
+
+const attrValue = (node, key) => {
+  const attr = node.node_attrs && node.node_attrs[key];
+  if (attr === undefined || attr === null) return undefined;
+  return typeof attr === 'object' ? attr.value : attr;
+};
+
+// Amino acid changes on a branch, as GENE:D614G; nucleotide changes are left out
+const branchMutations = (node) => {
+  const mutations = (node.branch_attrs && node.branch_attrs.mutations) || {};
+  return Object.entries(mutations)
+    .filter(([gene, changes]) => gene !== 'nuc' && Array.isArray(changes))
+    .flatMap(([gene, changes]) => changes.map(change => `${gene}:${change}`));
+};
+
+// Flatten an Auspice v2 tree for drawing. Returns
+//   nodes: [{ id, name, parent, children, x, y, isTip, clade, firstTip, lastTip }]
+//     in preorder; x is the collection date as a decimal year (num_date),
+//     or divergence when the tree isn't time-scaled; y is the tip row;
+//     firstTip..lastTip are the indexes of the tips under the node
+//   tips: [{ name, lineage, country, mutations }] in drawing order, with the
+//     amino acid changes on the path from the root
+//   timeScaled, title
+export const parseAuspiceTree = (json) => {
+  if (!isAuspiceJson(json)) {
+    throw new Error('not an Auspice v2 JSON (no "tree")');
+  }
+
+  const nodes = [];
+  const tips = [];
+  const timeScaled = attrValue(json.tree, 'num_date') !== undefined;
+
+  // Walk the tree without recursion; deep ladder-like trees are common
+  const stack = [{ node: json.tree, parent: -1, mutations: [] }];
+  while (stack.length > 0) {
+    const { node, parent, mutations } = stack.pop();
+    const id = nodes.length;
+    const children = Array.isArray(node.children) ? node.children : [];
+    const pathMutations = [...mutations, ...branchMutations(node)];
+    const x = Number(attrValue(node, timeScaled ? 'num_date' : 'div'));
+
+    nodes.push({
+      id,
+      name: node.name || '',
+      parent,
+      x: isNaN(x) ? (parent === -1 ? 0 : nodes[parent].x) : x,
+      y: 0,
+      isTip: children.length === 0,
+      clade: node.branch_attrs && node.branch_attrs.labels ? node.branch_attrs.labels.clade : undefined,
+      children: [],
+      firstTip: tips.length,
+      lastTip: tips.length
+    });
+    if (parent !== -1) nodes[parent].children.push(id);
+
+    if (children.length === 0) {
+      nodes[id].y = tips.length;
+      tips.push({
+        name: node.name || '',
+        lineage: LINEAGE_ATTRS.map(key => attrValue(node, key)).find(value => value !== undefined),
+        country: attrValue(node, 'country'),
+        mutations: pathMutations
+      });
+    }
+
+    // Pushed in reverse so children are visited, and drawn, in file order
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ node: children[i], parent: id, mutations: pathMutations });
+    }
+  }
+
+  // Children come after their parent in preorder, so walking backwards
+  // finishes every subtree before the node above it
+  for (let id = nodes.length - 1; id >= 0; id--) {
+    const node = nodes[id];
+    if (node.isTip) continue;
+    const children = node.children.map(child => nodes[child]);
+    node.y = children.reduce((sum, child) => sum + child.y, 0) / children.length;
+    node.firstTip = Math.min(...children.map(child => child.firstTip));
+    node.lastTip = Math.max(...children.map(child => child.lastTip));
+  }
+
+  return {
+    nodes,
+    tips,
+    timeScaled,
+    title: (json.meta && json.meta.title) || ''
+  };
+};
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Decimal year (2021.204) for the start of a calendar month
+export const monthToNumDate = (year, month) => {
+  const dayOfYear = (Date.UTC(year, month - 1, 1) - Date.UTC(year, 0, 1)) / 86400000;
+  return year + dayOfYear / (isLeapYear(year) ? 366 : 365);
+};
+
+// Decimal year (2021.204) -> 2021-03-15
+export const formatNumDate = (value) => {
+  const year = Math.floor(value);
+  const days = Math.floor((value - year) * (isLeapYear(year) ? 366 : 365));
+  return new Date(Date.UTC(year, 0, 1 + days)).toISOString().slice(0, 10);
+};
@@ -0,0 +1,86 @@
+// src/columnar.js
+import { tableFromIPC, DataType } from 'apache-arrow';
+import { parquetMetadata, parquetSchema, parquetReadObjects } from 'hyparquet';
+import { compressors } from 'hyparquet-compressors';
+
+export const isParquetFile = (file) => /\.parquet$/i.test(file.name);
+
+// Feather v2 files are Arrow IPC files
+export const isArrowFile = (file) => /\.(arrow|arrows|feather|ipc)$/i.test(file.name);
+
+export const isColumnarFile = (file) => isParquetFile(file) || isArrowFile(file);
+
+const toIsoDate = (date) => (isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10));
+
+// Plain JS values for CovBoard rows: 64-bit integers become numbers, dates
+// become YYYY-MM-DD strings and lists become arrays. Nulls become undefined,
+// like empty cells in a CSV.
+const normalizeValue = (value, isDate = false) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'bigint') {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+  if (value instanceof Date) return toIsoDate(value);
+  if (isDate && typeof value === 'number') return toIsoDate(new Date(value));
+  // Arrow list cells are Vectors; typed arrays come from numeric lists
+  if (typeof value.toArray === 'function') value = value.toArray();
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.from(value, item => normalizeValue(item));
+  }
+  return value;
+};
+
+// Decode an Arrow IPC file or stream into { rows, fields }. onProgress is
+// called with { done, total } rows after each record batch.
+export const readArrow = (buffer, onProgress = () => {}) => {
+  const table = tableFromIPC(new Uint8Array(buffer));
+  const columns = table.schema.fields.map(field => ({
+    name: field.name,
+    isDate: DataType.isDate(field.type) || DataType.isTimestamp(field.type)
+  }));
+
+  const rows = [];
+  table.batches.forEach(batch => {
+    const vectors = columns.map(column => batch.getChild(column.name));
+    for (let i = 0; i < batch.numRows; i++) {
+      const row = {};
+      columns.forEach((column, c) => {
+        const value = normalizeValue(vectors[c].get(i), column.isDate);
+        if (value !== undefined) row[column.name] = value;
+      });
+      rows.push(row);
+    }
+    onProgress({ done: rows.length, total: table.numRows });
+  });
+
+  return { rows, fields: columns.map(column => column.name) };
+};
+
+// Decode a Parquet file into { rows, fields }, one row group at a time so
+// onProgress can report { done, total } rows
+export const readParquet = async (buffer, onProgress = () => {}) => {
+  const metadata = parquetMetadata(buffer);
+  const fields = parquetSchema(metadata).children.map(child => child.element.name);
+  const total = Number(metadata.num_rows);
+
+  const rows = [];
+  let rowStart = 0;
+  for (const group of metadata.row_groups) {
+    const rowEnd = rowStart + Number(group.num_rows);
+    const groupRows = await parquetReadObjects({ file: buffer, metadata, rowStart, rowEnd, compressors });
+    groupRows.forEach(groupRow => {
+      const row = {};
+      fields.forEach(field => {
+        const value = normalizeValue(groupRow[field]);
+        if (value !== undefined) row[field] = value;
+      });
+      rows.push(row);
+    });
+    rowStart = rowEnd;
+    onProgress({ done: rows.length, total });
+  }
+
+  return { rows, fields };
+};
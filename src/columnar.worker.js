@@ -0,0 +1,29 @@
+// src/columnar.worker.js
+/* eslint-disable no-restricted-globals */
+import { isParquetFile, readParquet, readArrow } from './columnar.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// Message in: { file }. Messages out: { type: 'progress', done, total },
+// then { type: 'complete', rows, fields } or { type: 'error', message }.
+self.onmessage = async (event) => {
+  const { file } = event.data;
+  let lastReport = 0;
+  const onProgress = ({ done, total }) => {
+    const now = Date.now();
+    if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+      lastReport = now;
+      self.postMessage({ type: 'progress', done, total });
+    }
+  };
+
+  try {
+    const buffer = await file.arrayBuffer();
+    const { rows, fields } = isParquetFile(file)
+      ? await readParquet(buffer, onProgress)
+      : readArrow(buffer, onProgress);
+    self.postMessage({ type: 'complete', rows, fields });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
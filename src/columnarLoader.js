@@ -0,0 +1,32 @@
+// src/columnarLoader.js
+
+// Decode a Parquet or Arrow IPC file into rows in a worker. onComplete
+// receives the rows and column names. Returns a handle whose cancel()
+// terminates the worker.
+export const readColumnarStream = (file, { onProgress, onComplete, onError }) => {
+  const worker = new Worker(new URL('./columnar.worker.js', import.meta.url));
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      onProgress({ done: message.done, total: message.total });
+    } else if (message.type === 'complete') {
+      worker.terminate();
+      onComplete(message.rows, message.fields);
+    } else if (message.type === 'error') {
+      worker.terminate();
+      onError(new Error(message.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    onError(new Error(event.message || 'Parquet/Arrow worker failed'));
+  };
+
+  worker.postMessage({ file });
+
+  return {
+    cancel: () => worker.terminate()
+  };
+};
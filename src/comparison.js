@@ -0,0 +1,77 @@
+// src/comparison.js
+import { getSampleStore } from './sampleStore.js';
+
+// What a new version of a dataset adds: { sampleDelta, newLineages }
+export const summarizeUpdate = (previousRows, rows) => {
+  const known = new Set(previousRows.map(row => row.pango_lineage).filter(Boolean));
+  const newLineages = [...new Set(rows.map(row => row.pango_lineage).filter(Boolean))]
+    .filter(lineage => !known.has(lineage))
+    .sort();
+  return { sampleDelta: rows.length - previousRows.length, newLineages };
+};
+
+// { key: samples } from one of the indexes of the rows' sample store
+const countBy = (rows, index) => {
+  const counts = {};
+  getSampleStore(rows).indexes[index].forEach((ids, key) => {
+    counts[key] = ids.length;
+  });
+  return counts;
+};
+
+const share = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+// Keys ranked by their largest share in either dataset, with counts, shares
+// (percent of each dataset's samples) and the share delta (comparison - primary)
+const compareCounts = (primaryCounts, primaryTotal, comparisonCounts, comparisonTotal, limit) => {
+  const keys = new Set([...Object.keys(primaryCounts), ...Object.keys(comparisonCounts)]);
+  return Array.from(keys)
+    .map(key => {
+      const primaryCount = primaryCounts[key] || 0;
+      const comparisonCount = comparisonCounts[key] || 0;
+      const primaryShare = share(primaryCount, primaryTotal);
+      const comparisonShare = share(comparisonCount, comparisonTotal);
+      return {
+        key,
+        primaryCount,
+        comparisonCount,
+        primaryShare,
+        comparisonShare,
+        delta: comparisonShare - primaryShare
+      };
+    })
+    .sort((a, b) => Math.max(b.primaryShare, b.comparisonShare) - Math.max(a.primaryShare, a.comparisonShare))
+    .slice(0, limit);
+};
+
+// Lineage share among all samples of each dataset
+export const compareLineages = (primaryRows, comparisonRows, limit = 10) =>
+  compareCounts(
+    countBy(primaryRows, 'lineage'),
+    primaryRows.length,
+    countBy(comparisonRows, 'lineage'),
+    comparisonRows.length,
+    limit
+  );
+
+// Share of samples carrying each mutation, counted once per sample
+export const compareMutations = (primaryRows, comparisonRows, limit = 15) =>
+  compareCounts(
+    countBy(primaryRows, 'mutation'),
+    primaryRows.length,
+    countBy(comparisonRows, 'mutation'),
+    comparisonRows.length,
+    limit
+  );
+
+// Monthly sample counts for both datasets on one shared, sorted axis
+export const compareMonthly = (primaryRows, comparisonRows) => {
+  const primaryCounts = countBy(primaryRows, 'month');
+  const comparisonCounts = countBy(comparisonRows, 'month');
+  const months = [...new Set([...Object.keys(primaryCounts), ...Object.keys(comparisonCounts)])].sort();
+  return {
+    months,
+    primary: months.map(month => primaryCounts[month] || 0),
+    comparison: months.map(month => comparisonCounts[month] || 0)
+  };
+};
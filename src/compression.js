@@ -0,0 +1,128 @@
+// src/compression.js
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// End of central directory record plus the longest possible comment
+const EOCD_SEARCH_LENGTH = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// Identify gzip and zip data by their magic bytes, whatever the file is called
+export const sniffCompression = async (blob) => {
+  const bytes = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 0x03 || bytes[2] === 0x05)) return 'zip';
+  return null;
+};
+
+const stripGzipExtension = (name) => name.replace(/\.(gz|gzip)$/i, '') || name;
+
+// Count the compressed bytes flowing into the decompressor
+const progressStream = (totalBytes, onProgress) => {
+  let bytes = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      onProgress({ bytes, totalBytes });
+      controller.enqueue(chunk);
+    }
+  });
+};
+
+const decompressStream = (blob, format, onProgress) =>
+  blob.stream()
+    .pipeThrough(progressStream(blob.size, onProgress))
+    .pipeThrough(new DecompressionStream(format));
+
+const decompress = (blob, format, name, onProgress) =>
+  new Response(decompressStream(blob, format, onProgress))
+    .blob()
+    .then(data => new File([data], name));
+
+// Name of the file a gzip file holds
+export const gunzippedName = (file) => stripGzipExtension(file.name);
+
+// Stream a gzip file through the browser's decompressor. Resolves to a File
+// named without the .gz extension.
+export const gunzipFile = (file, onProgress = () => {}) =>
+  decompress(file, 'gzip', gunzippedName(file), onProgress);
+
+// A gzip file's content as a stream of bytes, for readers that parse it as it
+// is decompressed; onProgress counts the compressed bytes read
+export const gunzipStream = (file, onProgress = () => {}) =>
+  decompressStream(file, 'gzip', onProgress);
+
+export const decompressIfGzip = async (file, onProgress) =>
+  (await sniffCompression(file)) === 'gzip' ? gunzipFile(file, onProgress) : file;
+
+const readBytes = async (blob, start, end) => new DataView(await blob.slice(start, end).arrayBuffer());
+
+// Files in a zip archive, read from its central directory: { name, method,
+// compressedSize, size, offset }. Folders and macOS resource forks are left out.
+export const listZipEntries = async (blob) => {
+  const tailStart = Math.max(0, blob.size - EOCD_SEARCH_LENGTH);
+  const tail = await readBytes(blob, tailStart, blob.size);
+
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('not a zip archive (no central directory)');
+  }
+
+  const entryCount = tail.getUint16(eocd + 10, true);
+  const directorySize = tail.getUint32(eocd + 12, true);
+  const directoryOffset = tail.getUint32(eocd + 16, true);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readBytes(blob, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('corrupt zip central directory');
+    }
+    const method = directory.getUint16(position + 10, true);
+    const compressedSize = directory.getUint32(position + 20, true);
+    const size = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const offset = directory.getUint32(position + 42, true);
+    const nameStart = directory.byteOffset + position + 46;
+    const name = decoder.decode(new Uint8Array(directory.buffer, nameStart, nameLength));
+
+    if (!name.endsWith('/') && !name.startsWith('__MACOSX/')) {
+      entries.push({ name, method, compressedSize, size, offset });
+    }
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Extract one entry returned by listZipEntries as a File named after its
+// base name. Deflated entries are decompressed as a stream.
+export const extractZipEntry = async (blob, entry, onProgress = () => {}) => {
+  const header = await readBytes(blob, entry.offset, entry.offset + 30);
+  if (header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`corrupt zip entry ${entry.name}`);
+  }
+  const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+  const name = entry.name.split('/').pop();
+
+  if (entry.method === STORED) return new File([data], name);
+  if (entry.method === DEFLATED) return decompress(data, 'deflate-raw', name, onProgress);
+  throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+};
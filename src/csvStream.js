@@ -0,0 +1,214 @@
+// src/csvStream.js
+import Papa from 'papaparse';
+
+// Rows are handed back from the parser worker one chunk at a time
+const CHUNK_SIZE = 1024 * 1024;
+const PROGRESS_INTERVAL_MS = 100;
+
+// Index just past the last line break of text outside quotes, scanning from
+// `from` with the quote state `quoted` there: { end, quoted } with end -1
+// when no row ends in the scanned part
+const lastRowEnd = (text, from, quoted, first = false) => {
+  let end = -1;
+  for (let i = from; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 34) {
+      quoted = !quoted;
+    } else if (code === 10 && !quoted) {
+      end = i + 1;
+      if (first) break;
+    }
+  }
+  return { end, quoted };
+};
+
+// Papa can't read a ReadableStream, so the bytes are decoded here as they
+// arrive and each run of complete rows is parsed under the header line
+const parseByteStream = (stream, { onProgress, onComplete, onError }) => {
+  let cancelled = false;
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const rows = [];
+  let fields = [];
+  let header = null;
+  let delimiter = '';
+  // Text after the last complete row, and whether it ends inside quotes
+  let pending = '';
+  let quoted = false;
+
+  const parseRows = (text) => {
+    const results = Papa.parse(`${header}${text}`, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      delimiter
+    });
+    if (!delimiter) {
+      delimiter = results.meta.delimiter;
+      fields = results.meta.fields || [];
+    }
+    for (let i = 0; i < results.data.length; i++) {
+      rows.push(results.data[i]);
+    }
+  };
+
+  // Add decoded text; parse whatever complete rows it finishes
+  const take = (text, done) => {
+    const from = pending.length;
+    pending += text;
+    let end = pending.length;
+    if (!done) {
+      const scan = lastRowEnd(pending, from, quoted);
+      quoted = scan.quoted;
+      if (scan.end === -1) return;
+      end = scan.end;
+    }
+    if (header === null) {
+      const headerEnd = lastRowEnd(pending, 0, false, true).end;
+      if (headerEnd === -1 && !done) return;
+      header = headerEnd === -1 ? pending : pending.slice(0, headerEnd);
+      pending = pending.slice(header.length);
+      end -= header.length;
+    }
+    const complete = pending.slice(0, end);
+    pending = pending.slice(end);
+    if (complete.trim() || (done && rows.length === 0 && fields.length === 0)) parseRows(complete);
+  };
+
+  const read = async () => {
+    let bytes = 0;
+    let lastReport = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (cancelled) return;
+      if (done) break;
+      bytes += value.byteLength;
+      take(decoder.decode(value, { stream: true }), false);
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        onProgress({ bytes, totalBytes: 0, rows: rows.length });
+      }
+    }
+    take(decoder.decode(), true);
+    onProgress({ bytes, totalBytes: 0, rows: rows.length });
+    onComplete(rows, fields);
+  };
+
+  read().catch(error => {
+    if (cancelled) return;
+    onError(error);
+  });
+
+  return {
+    cancel: () => {
+      cancelled = true;
+      reader.cancel().catch(() => {});
+    }
+  };
+};
+
+// Parse a File/Blob in a PapaParse worker, collecting rows chunk by chunk.
+// A ReadableStream of bytes (a file being decompressed) is parsed as it
+// arrives instead, with totalBytes 0 in its progress.
+// onComplete receives the rows and the header fields.
+// Returns a handle whose cancel() stops the worker at the next chunk and
+// silences all further callbacks.
+export const parseCsvStream = (blob, { onProgress, onComplete, onError }) => {
+  if (typeof blob.getReader === 'function') {
+    return parseByteStream(blob, { onProgress, onComplete, onError });
+  }
+  let cancelled = false;
+  const rows = [];
+  let fields = [];
+
+  Papa.parse(blob, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    worker: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      if (cancelled) {
+        parser.abort();
+        return;
+      }
+      if (results.meta.fields && fields.length === 0) {
+        fields = results.meta.fields;
+      }
+      for (let i = 0; i < results.data.length; i++) {
+        rows.push(results.data[i]);
+      }
+      onProgress({
+        bytes: Math.min(results.meta.cursor || 0, blob.size),
+        totalBytes: blob.size,
+        rows: rows.length
+      });
+    },
+    complete: (results) => {
+      if (cancelled || (results && results.meta && results.meta.aborted)) return;
+      onComplete(rows, fields);
+    },
+    error: (error) => {
+      if (cancelled) return;
+      onError(error);
+    }
+  });
+
+  return {
+    cancel: () => {
+      cancelled = true;
+    }
+  };
+};
+
+// Promise form of parseCsvStream for files that don't need a progress display
+export const parseCsvFile = (blob) =>
+  new Promise((resolve, reject) => {
+    parseCsvStream(blob, {
+      onProgress: () => {},
+      onComplete: (rows, fields) => resolve({ rows, fields }),
+      onError: reject
+    });
+  });
+
+// Read a fetch Response body into a Blob, reporting downloaded bytes as it goes.
+// totalBytes is 0 when the server sends no Content-Length.
+export const readResponse = async (response, onProgress) => {
+  const totalBytes = Number(response.headers.get('Content-Length')) || 0;
+  const type = response.headers.get('Content-Type') || 'text/csv';
+
+  if (!response.body) {
+    const blob = await response.blob();
+    onProgress({ bytes: blob.size, totalBytes: blob.size, rows: 0 });
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const parts = [];
+  let bytes = 0;
+  let lastReport = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    bytes += value.length;
+
+    const now = Date.now();
+    if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+      lastReport = now;
+      onProgress({ bytes, totalBytes, rows: 0 });
+    }
+  }
+
+  onProgress({ bytes, totalBytes, rows: 0 });
+  return new Blob(parts, { type });
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
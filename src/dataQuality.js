@@ -0,0 +1,128 @@
+// src/dataQuality.js
+import Papa from 'papaparse';
+import { FIELDS, MUTATION_PATTERN } from './schema.js';
+import { findIdColumn, loadAppendSettings } from './append.js';
+
+// Columns normalizeDates adds to each row; not part of the data itself
+const DERIVED_COLUMNS = ['datePrecision', 'week', 'dateProblem'];
+
+// Oldest age we accept as plausible
+const MAX_AGE = 120;
+
+// Kinds of problem reported, in the order the summary shows them
+export const PROBLEM_KINDS = {
+  age: 'Invalid ages',
+  futureDate: 'Future dates',
+  date: 'Unreadable or inconsistent dates',
+  mutation: 'Malformed mutations',
+  duplicate: 'Duplicate sample IDs'
+};
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+const columnsOf = (rows) => {
+  const columns = new Set(FIELDS.map(field => field.key));
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return Array.from(columns).filter(column => !DERIVED_COLUMNS.includes(column));
+};
+
+const checkAge = (value) => {
+  if (!hasValue(value)) return null;
+  const age = Number(value);
+  if (isNaN(age)) return `age "${value}" is not a number`;
+  if (age < 0) return `negative age ${value}`;
+  if (age > MAX_AGE) return `implausible age ${value}`;
+  return null;
+};
+
+// Partial dates are compared at their own precision, so 2021-03 is only in
+// the future from April 2021
+const checkFutureDate = (date, today) =>
+  (hasValue(date) && String(date) > today.slice(0, String(date).length) ? `date ${date} is in the future` : null);
+
+const checkMutations = (value) => {
+  if (!hasValue(value)) return null;
+  const mutations = Array.isArray(value) ? value.map(String) : String(value).split(',');
+  const malformed = mutations.map(mutation => mutation.trim()).filter(mutation => mutation && !MUTATION_PATTERN.test(mutation));
+  if (malformed.length === 0) return null;
+  return `malformed mutation${malformed.length > 1 ? 's' : ''} ${malformed.slice(0, 3).join(', ')}${malformed.length > 3 ? ', ...' : ''}`;
+};
+
+// Check a loaded dataset. Returns
+//   completeness: [{ column, filled, total }] for every column, CovBoard's
+//     fields first
+//   problems: [{ index, id, issues: [{ kind, column, message }] }], one per
+//     row with at least one problem
+//   counts: number of rows with each PROBLEM_KINDS kind
+//   idColumn: the column duplicates were looked for in
+export const assessDataQuality = (rows, today = new Date().toISOString().slice(0, 10)) => {
+  const columns = columnsOf(rows);
+  const filled = {};
+  columns.forEach(column => { filled[column] = 0; });
+
+  // Any column would do for an append, but duplicates only mean something in a real ID
+  const idColumn = findIdColumn(columns.filter(column => rows.some(row => hasValue(row[column]))), loadAppendSettings().idColumn);
+  const idCounts = new Map();
+  if (idColumn) {
+    rows.forEach(row => {
+      const id = hasValue(row[idColumn]) ? String(row[idColumn]).trim() : '';
+      if (id) idCounts.set(id, (idCounts.get(id) || 0) + 1);
+    });
+  }
+
+  const counts = {};
+  Object.keys(PROBLEM_KINDS).forEach(kind => { counts[kind] = 0; });
+  const problems = [];
+
+  rows.forEach((row, index) => {
+    columns.forEach(column => {
+      if (hasValue(row[column])) filled[column]++;
+    });
+
+    const issues = [];
+    const addIssue = (kind, column, message) => {
+      if (message) issues.push({ kind, column, message });
+    };
+
+    addIssue('age', 'age', checkAge(row.age));
+    addIssue('futureDate', 'date', checkFutureDate(row.date, today));
+    addIssue('date', 'date', row.dateProblem);
+    addIssue('mutation', 'substitutions', checkMutations(row.substitutions));
+
+    const id = idColumn && hasValue(row[idColumn]) ? String(row[idColumn]).trim() : '';
+    if (id && idCounts.get(id) > 1) {
+      addIssue('duplicate', idColumn, `${idColumn} ${id} appears in ${idCounts.get(id)} rows`);
+    }
+
+    if (issues.length > 0) {
+      new Set(issues.map(issue => issue.kind)).forEach(kind => { counts[kind]++; });
+      problems.push({ index, id, issues });
+    }
+  });
+
+  return {
+    completeness: columns.map(column => ({ column, filled: filled[column], total: rows.length })),
+    problems,
+    counts,
+    idColumn
+  };
+};
+
+// CSV of the problem rows: their row number in the loaded data, what is
+// wrong with them, then every original column
+export const problemRowsCsv = (rows, report) => {
+  const columns = columnsOf(rows);
+  return Papa.unparse({
+    fields: ['row', 'problems', ...columns],
+    data: report.problems.map(({ index, issues }) => [
+      index + 1,
+      issues.map(issue => issue.message).join('; '),
+      ...columns.map(column => {
+        const value = rows[index][column];
+        if (!hasValue(value)) return '';
+        return Array.isArray(value) ? value.join(',') : value;
+      })
+    ])
+  });
+};
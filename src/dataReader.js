@@ -0,0 +1,110 @@
+// src/dataReader.js
+import { parseCsvStream } from './csvStream.js';
+import { isNextcladeJson, convertNextcladeJson, NEXTCLADE_FIELDS } from './nextclade.js';
+import { isFastaFile } from './fasta.js';
+import { analyzeFastaStream, FASTA_FIELDS } from './fastaAnalysis.js';
+import { isVcfFile, readVcfFiles, VCF_FIELDS } from './vcf.js';
+import { isColumnarFile } from './columnar.js';
+import { readColumnarStream } from './columnarLoader.js';
+import { isJsonFile, isNdjsonFile, parseJsonDataset, parseNdjson } from './jsonDataset.js';
+import { isAuspiceJson } from './auspice.js';
+import { gunzipStream } from './compression.js';
+
+// Files readDataRows hands to the CSV parser: anything not read another way
+export const isDelimitedFile = (file) =>
+  !isVcfFile(file) && !isJsonFile(file) && !isNdjsonFile(file) && !isFastaFile(file) && !isColumnarFile(file);
+
+// Read an uncompressed data file of any supported format. Returns
+// { result, cancel }; result resolves to { rows, fields, converted, failed }
+// where converted rows already use CovBoard's field names and failed lists
+// FASTA records that could not be aligned. onProgress receives
+// { phase, ... } with phase 'parse', 'align' or 'decode'.
+export const readDataRows = (file, { onProgress = () => {} } = {}) => {
+  let cancel = () => {};
+
+  const result = new Promise((resolve, reject) => {
+    const fail = (message) => (error) => reject(new Error(`${message}: ${error.message}`));
+
+    // A VCF that came out of an archive; several VCFs are read together by readVcfFiles
+    if (isVcfFile(file)) {
+      readVcfFiles([file])
+        .then(rows => resolve({ rows, fields: VCF_FIELDS, converted: true }))
+        .catch(fail('Failed to load VCF file'));
+      return;
+    }
+
+    // Nextclade JSON is converted; other JSON and NDJSON records are flattened
+    // and go through the column check like CSV rows
+    if (isJsonFile(file) || isNdjsonFile(file)) {
+      file.text()
+        .then(text => {
+          if (isNdjsonFile(file)) {
+            resolve({ ...parseNdjson(text), converted: false });
+            return;
+          }
+          const json = JSON.parse(text);
+          if (isAuspiceJson(json)) {
+            throw new Error('this is a Nextstrain tree; load it with "Load Nextstrain tree"');
+          }
+          if (isNextcladeJson(json)) {
+            resolve({ rows: convertNextcladeJson(json), fields: NEXTCLADE_FIELDS, converted: true });
+            return;
+          }
+          resolve({ ...parseJsonDataset(json), converted: false });
+        })
+        .catch(fail('Failed to load JSON file'));
+      return;
+    }
+
+    if (isFastaFile(file)) {
+      onProgress({ phase: 'align', done: 0, total: 0 });
+      const analysis = analyzeFastaStream(file, {
+        onProgress: (progress) => onProgress({ phase: 'align', ...progress }),
+        onComplete: (rows, failed) => resolve({ rows, fields: FASTA_FIELDS, converted: true, failed }),
+        onError: fail('Failed to analyse FASTA file')
+      });
+      cancel = analysis.cancel;
+      return;
+    }
+
+    if (isColumnarFile(file)) {
+      onProgress({ phase: 'decode', done: 0, total: 0 });
+      const reader = readColumnarStream(file, {
+        onProgress: (progress) => onProgress({ phase: 'decode', ...progress }),
+        onComplete: (rows, fields) => resolve({ rows, fields, converted: false }),
+        onError: fail(`Failed to read ${file.name}`)
+      });
+      cancel = reader.cancel;
+      return;
+    }
+
+    const parser = parseCsvStream(file, {
+      onProgress: (progress) => onProgress({ phase: 'parse', ...progress }),
+      onComplete: (rows, fields) => resolve({ rows, fields, converted: false }),
+      onError: fail('Failed to parse CSV data')
+    });
+    cancel = parser.cancel;
+  });
+
+  return { result, cancel: () => cancel() };
+};
+
+// A gzipped CSV or TSV, parsed as it is decompressed instead of unpacked into
+// a File first. Returns { result, cancel } like readDataRows; progress counts
+// the compressed bytes read.
+export const readGzipCsvRows = (file, { onProgress = () => {} } = {}) => {
+  let compressed = { bytes: 0, totalBytes: file.size };
+  let cancel = () => {};
+
+  const result = new Promise((resolve, reject) => {
+    const stream = gunzipStream(file, (progress) => { compressed = progress; });
+    const parser = parseCsvStream(stream, {
+      onProgress: ({ rows }) => onProgress({ phase: 'parse', ...compressed, rows }),
+      onComplete: (rows, fields) => resolve({ rows, fields, converted: false }),
+      onError: (error) => reject(new Error(`Failed to read ${file.name}: ${error.message}`))
+    });
+    cancel = parser.cancel;
+  });
+
+  return { result, cancel: () => cancel() };
+};
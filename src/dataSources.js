@@ -0,0 +1,162 @@
+// src/dataSources.js
+
+// Runtime config served next to the app, so one build can serve several projects:
+//   { "default": "region-x",
+//     "datasets": [{ "id": "region-x", "name": "Region X", "url": "/datasets/region-x.csv" }] }
+const CONFIG_URL = '/covboard.config.json';
+
+// Query parameter naming the dataset to open: a dataset id from the config,
+// or the URL of a data file
+const DATA_PARAM = 'data';
+
+// Where the default dataset is looked for, in order
+const DEFAULT_DATA_URLS = ['/df_cleaned.csv', '/df_cleaned.csv.gz', '/df_cleaned.zip'];
+
+// Development servers answer missing files with index.html
+const isHtmlPage = (response) => (response.headers.get('Content-Type') || '').includes('text/html');
+
+// Fetch the first of urls that exists. Resolves to { response, url }.
+export const fetchFirstAvailable = async (urls, signal) => {
+  let status = null;
+  for (const url of urls) {
+    const response = await fetch(url, { signal });
+    if (response.ok && !isHtmlPage(response)) {
+      return { response, url };
+    }
+    status = isHtmlPage(response) ? 404 : response.status;
+  }
+  throw new Error(`HTTP error! Status: ${status}`);
+};
+
+// Read covboard.config.json into { datasets: [{ id, name, url }], defaultId },
+// or null when there isn't one. When it can't be fetched (offline, a server
+// error) that is logged and null returned too, so the cached or default
+// dataset still opens. A config that is there but malformed throws, so a
+// hosting mistake is reported rather than silently ignored.
+export const loadDataConfig = async (signal) => {
+  let response;
+  try {
+    response = await fetch(CONFIG_URL, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('covboard.config.json could not be fetched:', error);
+    return null;
+  }
+  if (response.status === 404 || (response.ok && isHtmlPage(response))) return null;
+  if (!response.ok) {
+    console.error(`covboard.config.json: HTTP error! Status: ${response.status}`);
+    return null;
+  }
+
+  let config;
+  try {
+    config = await response.json();
+  } catch (error) {
+    throw new Error(`covboard.config.json is not valid JSON (${error.message})`);
+  }
+  if (!config || !Array.isArray(config.datasets)) {
+    throw new Error('covboard.config.json needs a "datasets" list');
+  }
+
+  const datasets = config.datasets.map((dataset, i) => {
+    if (!dataset || typeof dataset.url !== 'string' || !dataset.url) {
+      throw new Error(`covboard.config.json: dataset ${i + 1} has no "url"`);
+    }
+    const id = String(dataset.id || dataset.name || dataset.url);
+    return { id, name: String(dataset.name || id), url: dataset.url };
+  });
+  const ids = new Set(datasets.map(dataset => dataset.id));
+  if (ids.size !== datasets.length) {
+    throw new Error('covboard.config.json: dataset ids must be unique');
+  }
+  if (config.default !== undefined && !ids.has(String(config.default))) {
+    throw new Error(`covboard.config.json: default "${config.default}" is not one of the datasets`);
+  }
+
+  return { datasets, defaultId: config.default !== undefined ? String(config.default) : null };
+};
+
+export const readDataParam = () => new URLSearchParams(window.location.search).get(DATA_PARAM);
+
+// Record the chosen dataset in the address bar so the page can be bookmarked
+// or shared, without adding a history entry
+export const writeDataParam = (value) => {
+  const url = new URL(window.location.href);
+  if (value) {
+    url.searchParams.set(DATA_PARAM, value);
+  } else {
+    url.searchParams.delete(DATA_PARAM);
+  }
+  window.history.replaceState(window.history.state, '', url);
+};
+
+// The dataset to download: { id, name, urls }. A ?data= value matching a
+// config id opens that dataset, any other value is taken as a URL; without
+// one the config's default (or first) dataset is used, then df_cleaned.csv.
+export const resolveDataSource = (config, requested) => {
+  const datasets = config ? config.datasets : [];
+  const toSource = (dataset) => ({ id: dataset.id, name: dataset.name, urls: [dataset.url] });
+
+  if (requested) {
+    const match = datasets.find(dataset => dataset.id === requested);
+    return match ? toSource(match) : { id: null, name: requested.split('/').pop(), urls: [requested] };
+  }
+  const preferred = datasets.find(dataset => dataset.id === (config && config.defaultId)) || datasets[0];
+  if (preferred) return toSource(preferred);
+  return { id: null, name: 'df_cleaned.csv', urls: DEFAULT_DATA_URLS };
+};
+
+const AUTO_REFRESH_KEY = 'covboard.autoRefresh';
+
+// Minutes between checks the user can pick for auto-refresh
+export const REFRESH_INTERVALS = [1, 5, 15, 60];
+
+export const loadAutoRefreshSettings = () => {
+  try {
+    return { enabled: false, minutes: 5, ...JSON.parse(localStorage.getItem(AUTO_REFRESH_KEY)) };
+  } catch (e) {
+    return { enabled: false, minutes: 5 };
+  }
+};
+
+export const saveAutoRefreshSettings = (settings) => {
+  try {
+    localStorage.setItem(AUTO_REFRESH_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error('Could not save auto-refresh settings:', e);
+  }
+};
+
+// The validators a static file server sends for a file: { url, etag, lastModified }
+export const readVersion = (response, url) => ({
+  url,
+  etag: response.headers.get('ETag'),
+  lastModified: response.headers.get('Last-Modified')
+});
+
+// Without an ETag or Last-Modified header a change can't be seen without
+// downloading the whole file each time
+export const canDetectChanges = (version) => Boolean(version && (version.etag || version.lastModified));
+
+// Ask the server for the file only if it changed since `version`. Resolves
+// to the response of the new version, or null when it is unchanged. Servers
+// that ignore conditional requests are caught by comparing the validators;
+// without validators the whole file comes back every time.
+export const fetchIfChanged = async (version, signal) => {
+  const headers = {};
+  if (version.etag) headers['If-None-Match'] = version.etag;
+  if (version.lastModified) headers['If-Modified-Since'] = version.lastModified;
+
+  const response = await fetch(version.url, { headers, cache: 'no-cache', signal });
+  if (response.status === 304) return null;
+  if (!response.ok || isHtmlPage(response)) {
+    throw new Error(`HTTP error! Status: ${response.status}`);
+  }
+
+  const latest = readVersion(response, version.url);
+  if (canDetectChanges(version) && latest.etag === version.etag && latest.lastModified === version.lastModified) {
+    if (response.body) response.body.cancel();
+    return null;
+  }
+  return response;
+};
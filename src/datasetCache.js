@@ -0,0 +1,193 @@
+// src/datasetCache.js
+
+const DB_NAME = 'covboard';
+const DB_VERSION = 1;
+// Names, sizes and dates, small enough to list without reading any rows
+const INFO_STORE = 'datasets';
+// Parsed rows and the dashboard aggregates computed from them
+const DATA_STORE = 'datasetData';
+
+const ACTIVE_KEY = 'covboard.activeDataset';
+// Least recently used datasets beyond this are dropped
+const MAX_CACHED_DATASETS = 10;
+// crypto.subtle can't hash incrementally, so large files are hashed in pieces
+const HASH_CHUNK_SIZE = 64 * 1024 * 1024;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(INFO_STORE)) db.createObjectStore(INFO_STORE, { keyPath: 'hash' });
+        if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: 'hash' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allows storage
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// SHA-256 over the content of Blobs and strings, in order. Blobs are read a
+// chunk at a time and the chunk digests hashed together, so the key only
+// depends on the bytes, never on file names or dates.
+export const hashContent = async (parts) => {
+  const encoder = new TextEncoder();
+  const digests = [];
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      digests.push(await crypto.subtle.digest('SHA-256', encoder.encode(part)));
+      continue;
+    }
+    let offset = 0;
+    do {
+      const chunk = await part.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer();
+      digests.push(await crypto.subtle.digest('SHA-256', chunk));
+      offset += HASH_CHUNK_SIZE;
+    } while (offset < part.size);
+  }
+
+  const combined = new Uint8Array(digests.length * 32);
+  digests.forEach((digest, i) => combined.set(new Uint8Array(digest), i * 32));
+  return toHex(await crypto.subtle.digest('SHA-256', combined));
+};
+
+export const getActiveDatasetHash = () => {
+  try {
+    return localStorage.getItem(ACTIVE_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const setActiveDatasetHash = (hash) => {
+  try {
+    if (hash) {
+      localStorage.setItem(ACTIVE_KEY, hash);
+    } else {
+      localStorage.removeItem(ACTIVE_KEY);
+    }
+  } catch (e) {
+    console.error('Could not remember the active dataset:', e);
+  }
+};
+
+// Cached datasets, most recently used first
+export const listCachedDatasets = async () => {
+  const db = await openDatabase();
+  const infos = await promisify(db.transaction(INFO_STORE).objectStore(INFO_STORE).getAll());
+  return infos.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+// Resolves to { info, rows, aggregates, issues }, or null when nothing is cached for hash
+export const loadCachedDataset = async (hash) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([INFO_STORE, DATA_STORE], 'readwrite');
+  const infoStore = transaction.objectStore(INFO_STORE);
+  const [info, data] = await Promise.all([
+    promisify(infoStore.get(hash)),
+    promisify(transaction.objectStore(DATA_STORE).get(hash))
+  ]);
+  if (!info || !data) return null;
+
+  info.lastUsedAt = Date.now();
+  infoStore.put(info);
+  await transactionDone(transaction);
+  return { info, rows: data.rows, aggregates: data.aggregates, issues: data.issues || null };
+};
+
+const dropLeastRecentlyUsed = async (db) => {
+  const infos = await listCachedDatasets();
+  const stale = infos.slice(MAX_CACHED_DATASETS);
+  if (stale.length === 0) return;
+
+  const transaction = db.transaction([INFO_STORE, DATA_STORE], 'readwrite');
+  stale.forEach(({ hash }) => {
+    transaction.objectStore(INFO_STORE).delete(hash);
+    transaction.objectStore(DATA_STORE).delete(hash);
+  });
+  await transactionDone(transaction);
+};
+
+// Store rows, aggregates and schema check issues under hash. `origin` records
+// where the data came from ('/df_cleaned.csv', file names, or a join or append);
+// for a server file, etag and lastModified are the validators it came with.
+export const saveCachedDataset = async ({ hash, name, origin, rows, aggregates, issues = null, etag = null, lastModified = null }) => {
+  const db = await openDatabase();
+  const now = Date.now();
+  const existing = await promisify(db.transaction(INFO_STORE).objectStore(INFO_STORE).get(hash));
+  const info = {
+    hash,
+    // Keep a name the user gave it
+    name: existing ? existing.name : name,
+    origin,
+    etag,
+    lastModified,
+    rowCount: rows.length,
+    savedAt: existing ? existing.savedAt : now,
+    lastUsedAt: now
+  };
+
+  const transaction = db.transaction([INFO_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(INFO_STORE).put(info);
+  transaction.objectStore(DATA_STORE).put({ hash, rows, aggregates, issues });
+  await transactionDone(transaction);
+
+  await dropLeastRecentlyUsed(db);
+  return info;
+};
+
+export const renameCachedDataset = async (hash, name) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(INFO_STORE, 'readwrite');
+  const store = transaction.objectStore(INFO_STORE);
+  const info = await promisify(store.get(hash));
+  if (info) store.put({ ...info, name });
+  await transactionDone(transaction);
+};
+
+// The server sent the cached content again under new validators
+export const saveCachedVersion = async (hash, { etag = null, lastModified = null }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(INFO_STORE, 'readwrite');
+  const store = transaction.objectStore(INFO_STORE);
+  const info = await promisify(store.get(hash));
+  if (info) store.put({ ...info, etag, lastModified });
+  await transactionDone(transaction);
+};
+
+export const deleteCachedDataset = async (hash) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([INFO_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(INFO_STORE).delete(hash);
+  transaction.objectStore(DATA_STORE).delete(hash);
+  await transactionDone(transaction);
+  if (getActiveDatasetHash() === hash) setActiveDatasetHash(null);
+};
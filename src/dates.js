@@ -0,0 +1,189 @@
+// src/dates.js
+
+// Precision of a collection date, coarsest last
+export const PRECISIONS = ['day', 'month', 'year'];
+
+// How a chart binned by month or week treats dates that only give a coarser
+// period: leave them out, or count them in the first bin the period covers
+export const IMPRECISE_DATE_OPTIONS = [
+  { value: 'exclude', label: 'Leave out imprecise dates' },
+  { value: 'assign', label: 'Assign to start of period' }
+];
+
+const MONTH_NAMES = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// 0, which buildDate rejects, for a word that isn't a month
+const readMonthName = (name) => MONTH_NAMES[String(name).slice(0, 3).toLowerCase()] || 0;
+
+// Two-digit years are taken as 20xx; sequencing data starts in 2019
+const readYear = (value) => (value.length === 2 ? 2000 + Number(value) : Number(value));
+
+// Build { date, precision, year, month, day } from parts, or null when they
+// don't form a real date. date is ISO 8601 cut to the precision: 2021,
+// 2021-03 or 2021-03-15.
+const buildDate = (year, month, day) => {
+  if (!Number.isInteger(year) || year < 1900 || year > 2100) return null;
+  if (month === undefined) {
+    return { date: String(year), precision: 'year', year };
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+  if (day === undefined) {
+    return { date: `${year}-${pad(month)}`, precision: 'month', year, month };
+  }
+  if (!Number.isInteger(day) || day < 1 || day > daysInMonth(year, month)) return null;
+  return { date: `${year}-${pad(month)}-${pad(day)}`, precision: 'day', year, month, day };
+};
+
+// Unknown parts written as XX (2021-03-XX) count as missing
+const optionalPart = (value) => (value === undefined || /^x+$/i.test(value) ? undefined : Number(value));
+
+const PATTERNS = [
+  // 2021, 2021-03, 2021-03-15, 2021/03/15, 2021-03-XX, 2021-03-15T10:00:00Z,
+  // 2021-03-15 10:00; a time is only read after a full date
+  [/^(\d{4})(?:[-/.](\d{1,2}|XX))?(?:[-/.](\d{1,2}|XX))?((?:T|\s+)\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|\s*[+-]\d{2}:?\d{2})?)?$/i, (m) => {
+    if (m[4] && m[3] === undefined) return null;
+    const month = optionalPart(m[2]);
+    return buildDate(Number(m[1]), month, month === undefined ? undefined : optionalPart(m[3]));
+  }],
+  // 15.03.2021 is day first; 03/15/2021 is month first unless the first
+  // number can't be a month (15/03/2021). 21-03-15 could be YY-MM-DD as well
+  // as DD-MM-YY, so a two-digit year after a first number above 12 and
+  // dashes is not read.
+  [/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})$/, (m) => {
+    const [first, second] = [Number(m[1]), Number(m[3])];
+    if (m[2] === '-' && m[4].length === 2 && first > 12) return null;
+    const dayFirst = m[2] === '.' || first > 12;
+    return buildDate(readYear(m[4]), dayFirst ? second : first, dayFirst ? first : second);
+  }],
+  // 03/2021
+  [/^(\d{1,2})[-/.](\d{4})$/, (m) => buildDate(Number(m[2]), Number(m[1]))],
+  // 15 Mar 2021, 15-Mar-2021, 15 March 2021
+  [/^(\d{1,2})[\s-]+([a-z]{3,9})\.?[\s-]+(\d{4}|\d{2})$/i, (m) =>
+    buildDate(readYear(m[3]), readMonthName(m[2]), Number(m[1]))],
+  // Mar 15, 2021, March 15 2021
+  [/^([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/i, (m) =>
+    buildDate(Number(m[3]), readMonthName(m[1]), Number(m[2]))],
+  // Mar 2021, March-2021
+  [/^([a-z]{3,9})\.?[\s-]+(\d{4})$/i, (m) => buildDate(Number(m[2]), readMonthName(m[1]))]
+];
+
+// Parse a collection date in any of the common formats into
+// { date, precision, year, month, day }, or null if it can't be read.
+// Missing parts are left out rather than guessed.
+export const parseDate = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? null
+      : buildDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+  // A bare number from a typed column is a year
+  if (typeof value === 'number') return buildDate(value);
+
+  const text = String(value).trim();
+  for (const [pattern, read] of PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return read(match);
+  }
+  return null;
+};
+
+// ISO 8601 week, e.g. 2021-W10. Weeks start on Monday and belong to the year
+// their Thursday falls in, so 2021-01-01 is in 2020-W53.
+export const isoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const weekYear = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+  return `${weekYear}-W${pad(week)}`;
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Normalise the date columns of mapped rows, in place. `date` is rewritten
+// as ISO 8601 at its own precision, with `datePrecision`, `year`, `month`
+// and (for full dates) `week` derived from it. Rows without a readable date
+// fall back to their year and month columns; dates that can't be read at
+// all are removed so they don't end up in date ranges. What was dropped or
+// overwritten is described in `dateProblem` for the Data Quality tab.
+export const normalizeDates = (rows) => {
+  rows.forEach(row => {
+    const hasDate = hasValue(row.date);
+    const hasMonth = hasValue(row.month);
+    const fromColumns = buildDate(Number(row.year), hasMonth ? Number(row.month) : undefined);
+    const parsed = parseDate(row.date);
+
+    if (hasDate && !parsed) {
+      row.dateProblem = `unreadable date "${row.date}"`;
+    } else if (parsed && hasValue(row.year) &&
+      (Number(row.year) !== parsed.year || (hasMonth && parsed.month && Number(row.month) !== parsed.month))) {
+      row.dateProblem = `date ${parsed.date} disagrees with year/month ${row.year}${hasMonth ? `/${row.month}` : ''}`;
+    }
+
+    const normalized = parsed || fromColumns;
+    if (!normalized) {
+      delete row.date;
+      delete row.datePrecision;
+      delete row.year;
+      delete row.month;
+      delete row.week;
+      return;
+    }
+
+    row.date = normalized.date;
+    row.datePrecision = normalized.precision;
+    row.year = normalized.year;
+    if (normalized.month) {
+      row.month = normalized.month;
+    } else {
+      delete row.month;
+    }
+    if (normalized.day) {
+      row.week = isoWeek(normalized.year, normalized.month, normalized.day);
+    } else {
+      delete row.week;
+    }
+  });
+  return rows;
+};
+
+// Rows normalised before precision was recorded still have their columns
+const precisionOf = (row) => {
+  if (row.datePrecision) return row.datePrecision;
+  if (!row.year) return null;
+  if (!row.month) return 'year';
+  return /^\d{4}-\d{2}-\d{2}/.test(row.date || '') ? 'day' : 'month';
+};
+
+// The chart bin a row falls in for a 'year', 'month' or 'week' axis
+// (2021, 2021-03, 2021-W10), or null. Dates coarser than the bin are left
+// out, or with imprecise = 'assign' put in the first bin of their period.
+export const periodKey = (row, period = 'month', imprecise = 'exclude') => {
+  const precision = precisionOf(row);
+  if (!precision) return null;
+  const isPrecise = PRECISIONS.indexOf(precision) <= PRECISIONS.indexOf(period === 'week' ? 'day' : period);
+  if (!isPrecise && imprecise !== 'assign') return null;
+
+  if (period === 'year') return String(row.year);
+  if (period === 'month') return `${row.year}-${pad(precision === 'year' ? 1 : row.month)}`;
+  if (precision === 'day') return row.week || isoWeek(row.year, row.month, Number(row.date.slice(8, 10)));
+  return isoWeek(row.year, precision === 'year' ? 1 : row.month, 1);
+};
+
+// Rows a chart binned by `period` would leave out or assign for having a
+// coarser date
+export const countImpreciseDates = (rows, period = 'month') => {
+  const limit = PRECISIONS.indexOf(period === 'week' ? 'day' : period);
+  return rows.filter(row => {
+    const precision = precisionOf(row);
+    return precision && PRECISIONS.indexOf(precision) > limit;
+  }).length;
+};
@@ -0,0 +1,75 @@
+// src/dates.test.js
+import { parseDate, normalizeDates, periodKey } from './dates.js';
+
+const dateOf = (value) => {
+  const parsed = parseDate(value);
+  return parsed && [parsed.date, parsed.precision];
+};
+
+test('ISO dates are read at their own precision', () => {
+  expect(dateOf('2021')).toEqual(['2021', 'year']);
+  expect(dateOf('2021-03')).toEqual(['2021-03', 'month']);
+  expect(dateOf('2021-03-15')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('2021/3/5')).toEqual(['2021-03-05', 'day']);
+  expect(dateOf(2021)).toEqual(['2021', 'year']);
+});
+
+test('XX parts count as missing', () => {
+  expect(dateOf('2021-03-XX')).toEqual(['2021-03', 'month']);
+  expect(dateOf('2021-XX-XX')).toEqual(['2021', 'year']);
+  // A day without its month isn't kept
+  expect(dateOf('2021-XX-15')).toEqual(['2021', 'year']);
+});
+
+test('a time is only accepted after a full date', () => {
+  expect(dateOf('2021-03-15T10:00:00Z')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('2021-03-15T10:00:00.123+01:00')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('2021-03-15 10:00')).toEqual(['2021-03-15', 'day']);
+  expect(parseDate('2021-03-15 extra')).toBeNull();
+  expect(parseDate('2021 foo')).toBeNull();
+  expect(parseDate('2021-03 10:00')).toBeNull();
+});
+
+test('dotted dates are day first; slashes are month first unless they cannot be', () => {
+  expect(dateOf('15.03.2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('03.04.2021')).toEqual(['2021-04-03', 'day']);
+  expect(dateOf('03/15/2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('15/03/2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('03/2021')).toEqual(['2021-03', 'month']);
+  expect(dateOf('15/03/21')).toEqual(['2021-03-15', 'day']);
+});
+
+test('a two-digit year after dashes and a first number above 12 is not guessed', () => {
+  expect(parseDate('21-03-15')).toBeNull();
+  expect(dateOf('03-15-21')).toEqual(['2021-03-15', 'day']);
+});
+
+test('month names are read in either order', () => {
+  expect(dateOf('15 Mar 2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('15-March-2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('Mar 15, 2021')).toEqual(['2021-03-15', 'day']);
+  expect(dateOf('March 2021')).toEqual(['2021-03', 'month']);
+  expect(dateOf('Sept. 2021')).toEqual(['2021-09', 'month']);
+});
+
+test('values that are not dates are rejected', () => {
+  ['', 'unknown', '2021-13-01', '2021-02-30', '1850-01-01', '32/01/2021', 'Foo 2021', 'Foo 15, 2021', 'Mar 32, 2021', null, undefined]
+    .forEach(value => expect(parseDate(value)).toBeNull());
+  expect(parseDate(new Date('invalid'))).toBeNull();
+});
+
+test('normalizeDates rewrites dates and reports the ones it drops', () => {
+  const rows = normalizeDates([
+    { date: '15/03/2021' },
+    { date: '2021-03-15 extra' },
+    { date: '', year: 2020, month: 7 },
+    { date: '2021-03-15', year: 2020 }
+  ]);
+  expect(rows[0]).toMatchObject({ date: '2021-03-15', datePrecision: 'day', year: 2021, month: 3, week: '2021-W11' });
+  expect(rows[1].date).toBeUndefined();
+  expect(rows[1].dateProblem).toBe('unreadable date "2021-03-15 extra"');
+  expect(rows[2]).toMatchObject({ date: '2020-07', datePrecision: 'month' });
+  expect(rows[3].dateProblem).toBe('date 2021-03-15 disagrees with year/month 2020');
+  expect(periodKey(rows[2], 'week')).toBeNull();
+  expect(periodKey(rows[2], 'week', 'assign')).toBe('2020-W27');
+});
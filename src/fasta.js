@@ -0,0 +1,33 @@
+// src/fasta.js
+
+export const isFastaFile = (file) => /\.(fasta|fas|fa|fna|fsa)$/i.test(file.name);
+
+// Split multi-FASTA text into { name, sequence } records. Sequences are
+// upper-cased with whitespace and alignment gaps removed, RNA U read as T.
+export const parseFasta = (text) => {
+  const records = [];
+  let name = null;
+  let parts = [];
+
+  const flush = () => {
+    if (name !== null) {
+      records.push({
+        name,
+        sequence: parts.join('').toUpperCase().replace(/[\s-]/g, '').replace(/U/g, 'T')
+      });
+    }
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('>')) {
+      flush();
+      name = line.slice(1).trim();
+      parts = [];
+    } else if (name !== null) {
+      parts.push(line);
+    }
+  });
+  flush();
+
+  return records;
+};
@@ -0,0 +1,56 @@
+// src/fasta.worker.js
+/* eslint-disable no-restricted-globals */
+import { parseFasta } from './fasta.js';
+import { alignToReference, buildSeedIndex } from './alignment.js';
+import { callMutations } from './mutationCalling.js';
+import { REFERENCE_SEQUENCE, GENE_MAP } from './sarsCov2Reference.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// Built on first use and kept for later files
+let seedIndex = null;
+
+const analyzeSequence = ({ name, sequence }) => {
+  const alignment = alignToReference(sequence, REFERENCE_SEQUENCE, seedIndex);
+  const calls = callMutations(sequence, REFERENCE_SEQUENCE, alignment, GENE_MAP);
+  return {
+    strain: name,
+    substitutions: [...calls.aaSubstitutions, ...calls.aaDeletions].join(','),
+    totalSubstitutions: calls.nucSubstitutions.length,
+    aaDeletions: calls.aaDeletions.join(','),
+    nucSubstitutions: calls.nucSubstitutions.join(','),
+    nucDeletions: calls.nucDeletions.join(','),
+    missingBases: calls.missing
+  };
+};
+
+// Message in: { file }. Messages out: { type: 'progress', done, total },
+// then { type: 'complete', rows, failed } or { type: 'error', message }.
+self.onmessage = async (event) => {
+  try {
+    const records = parseFasta(await event.data.file.text());
+    if (!seedIndex) seedIndex = buildSeedIndex(REFERENCE_SEQUENCE);
+
+    const rows = [];
+    const failed = [];
+    let lastReport = 0;
+
+    records.forEach((record, i) => {
+      try {
+        rows.push(analyzeSequence(record));
+      } catch (error) {
+        failed.push({ name: record.name, reason: error.message });
+      }
+
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        self.postMessage({ type: 'progress', done: i + 1, total: records.length });
+      }
+    });
+
+    self.postMessage({ type: 'complete', rows, failed });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
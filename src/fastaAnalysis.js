@@ -0,0 +1,48 @@
+// src/fastaAnalysis.js
+
+// Columns produced for each analysed sequence
+export const FASTA_FIELDS = [
+  'strain', 'substitutions', 'totalSubstitutions', 'aaDeletions',
+  'nucSubstitutions', 'nucDeletions', 'missingBases'
+];
+
+// Align every sequence of a FASTA file to NC_045512.2 and call mutations, in
+// a worker. onComplete receives the rows and the sequences that failed to
+// align. Returns a handle whose cancel() terminates the worker.
+export const analyzeFastaStream = (file, { onProgress, onComplete, onError }) => {
+  const worker = new Worker(new URL('./fasta.worker.js', import.meta.url));
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      onProgress({ done: message.done, total: message.total });
+    } else if (message.type === 'complete') {
+      worker.terminate();
+      onComplete(message.rows, message.failed);
+    } else if (message.type === 'error') {
+      worker.terminate();
+      onError(new Error(message.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    onError(new Error(event.message || 'FASTA worker failed'));
+  };
+
+  worker.postMessage({ file });
+
+  return {
+    cancel: () => worker.terminate()
+  };
+};
+
+// Promise form of analyzeFastaStream, resolving to { rows, failed }
+export const analyzeFastaFile = (file) =>
+  new Promise((resolve, reject) => {
+    analyzeFastaStream(file, {
+      onProgress: () => {},
+      onComplete: (rows, failed) => resolve({ rows, failed }),
+      onError: reject
+    });
+  });
@@ -0,0 +1,136 @@
+// src/gisaid.js
+import { parseDate } from './dates.js';
+
+// Columns CovBoard produces from a GISAID metadata.tsv
+export const GISAID_OUTPUT_FIELDS = [
+  'strain', 'accession', 'continent', 'country', 'division', 'location',
+  'date', 'year', 'month', 'sex', 'age', 'pango_lineage', 'clade',
+  'substitutions', 'totalSubstitutions'
+];
+
+// GISAID protein names that map one-to-one onto Nextclade-style gene names
+const PROTEIN_NAMES = {
+  Spike: 'S',
+  E: 'E',
+  M: 'M',
+  N: 'N',
+  NS3: 'ORF3a',
+  NS6: 'ORF6',
+  NS7a: 'ORF7a',
+  NS7b: 'ORF7b',
+  NS8: 'ORF8',
+  NS9b: 'ORF9b'
+};
+
+// First residue of each non-structural protein within the ORF1ab polyprotein.
+// nsp12 onwards sit past the ribosomal frameshift, in ORF1b, which starts at
+// polyprotein residue 4402.
+const NSP_STARTS = {
+  NSP1: 1, NSP2: 181, NSP3: 819, NSP4: 2764, NSP5: 3264, NSP6: 3570,
+  NSP7: 3860, NSP8: 3943, NSP9: 4141, NSP10: 4254, NSP11: 4393,
+  NSP12: 4393, NSP13: 5325, NSP14: 5926, NSP15: 6453, NSP16: 6799
+};
+const ORF1B_OFFSET = 4401;
+
+export const isGisaidMetadata = (fields) =>
+  fields.includes('Virus name') && fields.includes('Location') && fields.includes('Collection date');
+
+// Spike_D614G -> S:D614G, NSP12_P323L -> ORF1b:P314L, NSP6_L105del -> ORF1a:L3674del
+export const convertGisaidMutation = (mutation) => {
+  const separator = mutation.indexOf('_');
+  if (separator === -1) return null;
+
+  const protein = mutation.slice(0, separator);
+  const change = mutation.slice(separator + 1);
+
+  if (PROTEIN_NAMES[protein]) {
+    return `${PROTEIN_NAMES[protein]}:${change}`;
+  }
+
+  const nspStart = NSP_STARTS[protein.toUpperCase()];
+  const match = change.match(/^(ins|[A-Z*-]*)(\d+)(.*)$/);
+  if (nspStart && match) {
+    const [, ref, position, alt] = match;
+    const nspNumber = parseInt(protein.slice(3), 10);
+    const polyproteinPosition = nspStart + parseInt(position, 10) - 1;
+    return nspNumber >= 12
+      ? `ORF1b:${ref}${polyproteinPosition - ORF1B_OFFSET}${alt}`
+      : `ORF1a:${ref}${polyproteinPosition}${alt}`;
+  }
+
+  return `${protein}:${change}`;
+};
+
+// "(Spike_D614G,NSP12_P323L)" -> ['S:D614G', 'ORF1b:P314L']
+export const parseGisaidSubstitutions = (value) => {
+  if (!value || typeof value !== 'string') return [];
+  return value
+    .replace(/[()]/g, '')
+    .split(',')
+    .map(mutation => mutation.trim())
+    .filter(Boolean)
+    .map(convertGisaidMutation)
+    .filter(Boolean);
+};
+
+// "Asia / India / Kerala / Ernakulam" -> continent, country, division, location
+export const splitLocation = (value) => {
+  const parts = typeof value === 'string' ? value.split('/').map(part => part.trim()) : [];
+  return {
+    continent: parts[0] || undefined,
+    country: parts[1] || undefined,
+    division: parts[2] || undefined,
+    location: parts.slice(3).join(' / ') || undefined
+  };
+};
+
+// Accepts YYYY, YYYY-MM and YYYY-MM-DD; month is left out for year-only dates
+export const parseCollectionDate = (value) => {
+  const parsed = parseDate(value);
+  if (!parsed) return {};
+  return { date: parsed.date, year: parsed.year, month: parsed.month };
+};
+
+// "45", "45 years", "6 months" -> age in years; "unknown" and ranges -> undefined
+export const parsePatientAge = (value) => {
+  if (typeof value === 'number') return isNaN(value) ? undefined : value;
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(years?|yrs?|y|months?|mo|m)?$/i);
+  if (!match) return undefined;
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  return unit.startsWith('m') ? parseFloat((amount / 12).toFixed(2)) : amount;
+};
+
+export const normalizeGender = (value) => {
+  const gender = String(value || '').trim().toLowerCase();
+  if (gender === 'male' || gender === 'm') return 'Male';
+  if (gender === 'female' || gender === 'f') return 'Female';
+  if (!gender || gender === 'unknown' || gender === 'n/a' || gender === 'na') return undefined;
+  return String(value).trim();
+};
+
+// A lineage call, or undefined for a failed one: pangolin reports those as
+// "None" (v3) or "Unassigned" (v4), and GISAID passes them on
+export const cleanLineage = (value) => {
+  const lineage = String(value || '').trim();
+  return lineage && lineage !== 'None' && lineage !== 'Unassigned' ? lineage : undefined;
+};
+
+// Turn parsed metadata.tsv rows into the flat rows processData expects
+export const convertGisaidRows = (rows) =>
+  rows.map(row => {
+    const hasSubstitutions = Boolean(row['AA Substitutions']);
+    const substitutions = parseGisaidSubstitutions(row['AA Substitutions']);
+    return {
+      strain: row['Virus name'],
+      accession: row['Accession ID'],
+      ...splitLocation(row['Location']),
+      ...parseCollectionDate(row['Collection date']),
+      sex: normalizeGender(row['Gender']),
+      age: parsePatientAge(row['Patient age']),
+      pango_lineage: cleanLineage(row['Pango lineage']),
+      clade: row['Clade'] || undefined,
+      substitutions: hasSubstitutions ? substitutions.join(',') : undefined,
+      totalSubstitutions: hasSubstitutions ? substitutions.length : undefined
+    };
+  });
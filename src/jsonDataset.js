@@ -0,0 +1,64 @@
+// src/jsonDataset.js
+
+export const isJsonFile = (file) => /\.json$/i.test(file.name);
+
+export const isNdjsonFile = (file) => /\.(ndjson|jsonl)$/i.test(file.name);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dot paths ({ location: { country } } -> 'location.country').
+// Lists of plain values stay lists (substitutions: ['S:D614G']); lists of
+// objects are kept as JSON text since they have no single column to go in.
+export const flattenRecord = (record, prefix = '', row = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) return;
+    if (isPlainObject(value)) {
+      flattenRecord(value, path, row);
+    } else if (Array.isArray(value)) {
+      row[path] = value.some(item => item !== null && typeof item === 'object') ? JSON.stringify(value) : value;
+    } else {
+      row[path] = value;
+    }
+  });
+  return row;
+};
+
+// Flatten records and collect every column, in order of first appearance
+const toDataset = (records) => {
+  const fields = new Set();
+  const rows = records.map((record, i) => {
+    if (!isPlainObject(record)) {
+      throw new Error(`record ${i + 1} is not an object`);
+    }
+    const row = flattenRecord(record);
+    Object.keys(row).forEach(field => fields.add(field));
+    return row;
+  });
+  return { rows, fields: Array.from(fields) };
+};
+
+// A JSON array of records, or an object wrapping one (e.g. { "data": [...] })
+export const parseJsonDataset = (json) => {
+  if (Array.isArray(json)) return toDataset(json);
+  if (isPlainObject(json)) {
+    const arrays = Object.values(json).filter(Array.isArray);
+    if (arrays.length === 1) return toDataset(arrays[0]);
+  }
+  throw new Error('expected an array of records, or an object holding one');
+};
+
+// One JSON record per line; blank lines are skipped
+export const parseNdjson = (text) => {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`line ${i + 1} is not valid JSON (${error.message})`);
+    }
+  });
+  return toDataset(records);
+};
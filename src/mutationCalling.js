@@ -0,0 +1,108 @@
+// src/mutationCalling.js
+import { DELETED, UNCOVERED } from './alignment.js';
+import { translateCodon } from './sarsCov2Reference.js';
+
+const isBase = (c) => c === 'A' || c === 'C' || c === 'G' || c === 'T';
+
+// Collapse sorted 1-based positions into "start-end" ranges
+const toRanges = (positions) => {
+  const ranges = [];
+  positions.forEach(position => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position - 1) {
+      last[1] = position;
+    } else {
+      ranges.push([position, position]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`));
+};
+
+// Compare an aligned query with the reference. Nucleotide changes use
+// REFposALT (C241T); amino acid changes use GENE:REFposALT (S:D614G) and
+// GENE:REFposdel for codons deleted in full. Codons touching missing or
+// ambiguous bases, or only partly deleted, are not called.
+export const callMutations = (query, reference, { refToQuery }, genes) => {
+  const queryBaseAt = (j) => {
+    const index = refToQuery[j];
+    if (index === DELETED) return '-';
+    if (index === UNCOVERED) return 'N';
+    return query[index];
+  };
+
+  const nucSubstitutions = [];
+  const deletedPositions = [];
+  let missing = 0;
+
+  for (let j = 0; j < reference.length; j++) {
+    const base = queryBaseAt(j);
+    if (base === '-') {
+      deletedPositions.push(j + 1);
+    } else if (!isBase(base)) {
+      missing++;
+    } else if (base !== reference[j]) {
+      nucSubstitutions.push(`${reference[j]}${j + 1}${base}`);
+    }
+  }
+
+  const aaSubstitutions = [];
+  const aaDeletions = [];
+
+  genes.forEach(gene => {
+    const geneStart = gene.start - 1;
+    const geneEnd = gene.end - 1;
+    const codons = Math.floor((gene.end - gene.start + 1) / 3);
+
+    // An in-frame deletion that starts mid-codon (21765-21770 in S) leaves
+    // the outer bases of two codons; they are read as one codon in place of
+    // the first, and the codons after it count as deleted (S:H69del, S:V70del)
+    const mergedCodons = new Map();
+    const deletedCodons = new Set();
+    for (let j = geneStart; j <= geneEnd; j++) {
+      if (queryBaseAt(j) !== '-') continue;
+      let end = j;
+      while (end + 1 <= geneEnd && queryBaseAt(end + 1) === '-') end++;
+
+      const length = end - j + 1;
+      const offset = (j - geneStart) % 3;
+      if (length % 3 === 0 && offset !== 0) {
+        const firstCodon = Math.floor((j - geneStart) / 3);
+        const lastCodon = firstCodon + length / 3;
+        let merged = '';
+        for (let k = geneStart + firstCodon * 3; k < j; k++) merged += queryBaseAt(k);
+        for (let k = end + 1; k <= geneStart + lastCodon * 3 + 2; k++) merged += queryBaseAt(k);
+        mergedCodons.set(firstCodon, merged);
+        for (let c = firstCodon + 1; c <= lastCodon; c++) deletedCodons.add(c);
+      }
+      j = end;
+    }
+
+    for (let c = 0; c < codons; c++) {
+      const first = geneStart + c * 3;
+      const refCodon = reference.substr(first, 3);
+      const queryCodon = mergedCodons.has(c)
+        ? mergedCodons.get(c)
+        : queryBaseAt(first) + queryBaseAt(first + 1) + queryBaseAt(first + 2);
+      if (queryCodon === refCodon && !deletedCodons.has(c)) continue;
+
+      const refAa = translateCodon(refCodon);
+      if (queryCodon === '---' || deletedCodons.has(c)) {
+        aaDeletions.push(`${gene.name}:${refAa}${c + 1}del`);
+        continue;
+      }
+
+      const queryAa = translateCodon(queryCodon);
+      if (queryAa !== 'X' && queryAa !== refAa) {
+        aaSubstitutions.push(`${gene.name}:${refAa}${c + 1}${queryAa}`);
+      }
+    }
+  });
+
+  return {
+    nucSubstitutions,
+    nucDeletions: toRanges(deletedPositions),
+    aaSubstitutions,
+    aaDeletions,
+    missing
+  };
+};
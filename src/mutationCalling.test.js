@@ -0,0 +1,82 @@
+// src/mutationCalling.test.js
+import { callMutations } from './mutationCalling.js';
+import { DELETED } from './alignment.js';
+import { REFERENCE_SEQUENCE, GENE_MAP } from './sarsCov2Reference.js';
+
+// Call mutations on the reference with some bases replaced, deleted, or
+// followed by inserted bases, mapped to it the way an alignment would be.
+// Positions are 1-based.
+const callEdited = ({ substitutions = {}, deletions = [], insertions = {} } = {}) => {
+  const deleted = new Set();
+  deletions.forEach(([start, end]) => {
+    for (let position = start; position <= end; position++) deleted.add(position);
+  });
+
+  const refToQuery = new Int32Array(REFERENCE_SEQUENCE.length);
+  const query = [];
+  for (let j = 0; j < REFERENCE_SEQUENCE.length; j++) {
+    const position = j + 1;
+    if (deleted.has(position)) {
+      refToQuery[j] = DELETED;
+    } else {
+      refToQuery[j] = query.length;
+      query.push(substitutions[position] || REFERENCE_SEQUENCE[j]);
+    }
+    if (insertions[position]) query.push(...insertions[position]);
+  }
+  return callMutations(query.join(''), REFERENCE_SEQUENCE, { refToQuery }, GENE_MAP);
+};
+
+test('the reference itself has no mutations', () => {
+  expect(callEdited()).toEqual({
+    nucSubstitutions: [],
+    nucDeletions: [],
+    aaSubstitutions: [],
+    aaDeletions: [],
+    missing: 0
+  });
+});
+
+test('A23403G is called as S:D614G', () => {
+  const calls = callEdited({ substitutions: { 23403: 'G' } });
+  expect(calls.nucSubstitutions).toEqual(['A23403G']);
+  expect(calls.aaSubstitutions).toEqual(['S:D614G']);
+  expect(calls.aaDeletions).toEqual([]);
+});
+
+test('the mid-codon deletion 21765-21770 is called as S:H69del and S:V70del', () => {
+  // Codon 68 keeps its first base and takes the last two of codon 70: ATA
+  // becomes ATC, still isoleucine, so there is no substitution
+  const calls = callEdited({ deletions: [[21765, 21770]] });
+  expect(calls.nucDeletions).toEqual(['21765-21770']);
+  expect(calls.aaDeletions).toEqual(['S:H69del', 'S:V70del']);
+  expect(calls.aaSubstitutions).toEqual([]);
+});
+
+test('the in-frame deletion 11288-11296 is called as ORF1a:S3675-F3677 deleted', () => {
+  const calls = callEdited({ deletions: [[11288, 11296]] });
+  expect(calls.nucDeletions).toEqual(['11288-11296']);
+  expect(calls.aaDeletions).toEqual(['ORF1a:S3675del', 'ORF1a:G3676del', 'ORF1a:F3677del']);
+  expect(calls.aaSubstitutions).toEqual([]);
+});
+
+test('out-of-frame indels are reported as nucleotide changes only', () => {
+  // A partly deleted codon is not called, and the codons after it are read
+  // in the reference's frame
+  const deletion = callEdited({ deletions: [[23403, 23404]] });
+  expect(deletion.nucDeletions).toEqual(['23403-23404']);
+  expect(deletion.aaDeletions).toEqual([]);
+  expect(deletion.aaSubstitutions).toEqual([]);
+
+  const insertion = callEdited({ insertions: { 23403: 'A' } });
+  expect(insertion.nucSubstitutions).toEqual([]);
+  expect(insertion.aaDeletions).toEqual([]);
+  expect(insertion.aaSubstitutions).toEqual([]);
+});
+
+test('codons with ambiguous bases are counted as missing and not called', () => {
+  const calls = callEdited({ substitutions: { 23402: 'N', 23403: 'G' } });
+  expect(calls.missing).toBe(1);
+  expect(calls.nucSubstitutions).toEqual(['A23403G']);
+  expect(calls.aaSubstitutions).toEqual([]);
+});
@@ -0,0 +1,80 @@
+// src/nextclade.js
+
+// Columns CovBoard keeps from Nextclade output
+export const NEXTCLADE_FIELDS = [
+  'strain', 'clade', 'pango_lineage', 'substitutions', 'totalSubstitutions',
+  'aaDeletions', 'nucSubstitutions', 'qc_status'
+];
+
+export const isNextcladeTable = (fields) =>
+  fields.includes('seqName') && (fields.includes('aaSubstitutions') || fields.includes('clade'));
+
+export const isNextcladeJson = (json) =>
+  Boolean(json) && Array.isArray(json.results) && (json.results.length === 0 || 'seqName' in json.results[0]);
+
+// Comma-separated in TSV/CSV, already a list when read from Parquet or Arrow
+const splitList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return typeof value === 'string'
+    ? value.split(',').map(item => item.trim()).filter(Boolean)
+    : [];
+};
+
+// Nextclade writes amino acid deletions as S:H69-; CovBoard uses S:H69del
+const toDeletionNotation = (deletion) => deletion.replace(/-$/, 'del');
+
+const buildRow = ({ seqName, clade, pango, aaSubstitutions, aaDeletions, nucSubstitutions, totalSubstitutions, qcStatus }) => {
+  const deletions = aaDeletions.map(toDeletionNotation);
+  return {
+    strain: seqName,
+    clade: clade || undefined,
+    pango_lineage: pango || undefined,
+    substitutions: [...aaSubstitutions, ...deletions].join(','),
+    totalSubstitutions: totalSubstitutions !== undefined && totalSubstitutions !== null && totalSubstitutions !== ''
+      ? Number(totalSubstitutions)
+      : nucSubstitutions.length,
+    aaDeletions: deletions.join(','),
+    nucSubstitutions: nucSubstitutions.join(','),
+    qc_status: qcStatus || undefined
+  };
+};
+
+// Rows parsed from nextclade.tsv (or nextclade.csv)
+export const convertNextcladeRows = (rows) =>
+  rows.map(row => buildRow({
+    seqName: row.seqName,
+    clade: row.clade,
+    pango: row.Nextclade_pango,
+    aaSubstitutions: splitList(row.aaSubstitutions),
+    aaDeletions: splitList(row.aaDeletions),
+    nucSubstitutions: splitList(row.substitutions),
+    totalSubstitutions: row.totalSubstitutions,
+    qcStatus: row['qc.overallStatus']
+  }));
+
+// Amino acid changes in nextclade.json: v2 uses gene/codon (0-based) and
+// refAA/queryAA, v3 uses cdsName/pos (0-based) and refAa/qryAa
+const formatAaChange = (change, isDeletion) => {
+  const gene = change.cdsName || change.gene;
+  const position = (change.pos !== undefined ? change.pos : change.codon) + 1;
+  const ref = change.refAa || change.refAA;
+  const alt = isDeletion ? '-' : (change.qryAa || change.queryAA);
+  return `${gene}:${ref}${position}${alt}`;
+};
+
+const formatNucChange = (change) =>
+  `${change.refNuc}${change.pos + 1}${change.qryNuc || change.queryNuc}`;
+
+// Results array of nextclade.json (v2 or v3). Sequences that failed analysis
+// are listed under `errors` and are skipped.
+export const convertNextcladeJson = (json) =>
+  json.results.map(result => buildRow({
+    seqName: result.seqName,
+    clade: result.clade,
+    pango: result.customNodeAttributes && result.customNodeAttributes.Nextclade_pango,
+    aaSubstitutions: (result.aaSubstitutions || []).map(change => formatAaChange(change, false)),
+    aaDeletions: (result.aaDeletions || []).map(change => formatAaChange(change, true)),
+    nucSubstitutions: (result.substitutions || []).map(formatNucChange),
+    totalSubstitutions: result.totalSubstitutions,
+    qcStatus: result.qc && result.qc.overallStatus
+  }));
@@ -0,0 +1,17 @@
+// src/pangolin.js
+import { cleanLineage } from './gisaid.js';
+
+// Columns CovBoard keeps from a pangolin lineage_report.csv
+export const PANGOLIN_FIELDS = ['strain', 'pango_lineage', 'scorpio_call', 'pangolin_qc', 'pangolin_version'];
+
+export const isPangolinReport = (fields) => fields.includes('taxon') && fields.includes('lineage');
+
+// v4 reports QC in qc_status, v3 in status
+export const convertPangolinRows = (rows) =>
+  rows.map(row => ({
+    strain: row.taxon,
+    pango_lineage: cleanLineage(row.lineage),
+    scorpio_call: row.scorpio_call || undefined,
+    pangolin_qc: row.qc_status || row.status || undefined,
+    pangolin_version: row.pangolin_version || undefined
+  }));
@@ -0,0 +1,106 @@
+// src/prepare.js
+// Imports carry their extensions so bin/covboard.mjs can load this module,
+// and the modules it uses, straight into Node
+import { FIELDS, suggestMapping, applyMapping, validateSchema } from './schema.js';
+import { normalizeDates, PRECISIONS } from './dates.js';
+import { isGisaidMetadata, convertGisaidRows, GISAID_OUTPUT_FIELDS, normalizeGender, parsePatientAge } from './gisaid.js';
+import { isNextcladeTable, convertNextcladeRows, NEXTCLADE_FIELDS } from './nextclade.js';
+import { assessDataQuality } from './dataQuality.js';
+import { rowMutations } from './analytics.js';
+
+// Columns normalizeDates adds; the dashboard derives them again on load
+const DERIVED_COLUMNS = ['datePrecision', 'week', 'dateProblem'];
+
+export const INPUT_FORMATS = {
+  gisaid: 'GISAID metadata',
+  nextclade: 'Nextclade output',
+  table: 'metadata table'
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Clean parsed metadata rows into the layout of df_cleaned.csv: CovBoard's
+// fields first, then the columns that were not mapped onto one. Returns
+//   rows, fields: the cleaned rows, in place, and the columns to write
+//   format: the INPUT_FORMATS key the rows were read as
+//   mapping: { field: source column } for metadata tables
+//   changes: counts of dates by precision and of values rewritten
+//   validation: validateSchema of the cleaned rows
+//   quality: assessDataQuality of the cleaned rows
+export const cleanMetadata = (rows, fields, today) => {
+  let format = 'table';
+  if (isGisaidMetadata(fields)) {
+    rows = convertGisaidRows(rows);
+    fields = GISAID_OUTPUT_FIELDS;
+    format = 'gisaid';
+  } else if (isNextcladeTable(fields)) {
+    rows = convertNextcladeRows(rows);
+    fields = NEXTCLADE_FIELDS;
+    format = 'nextclade';
+  }
+
+  const mapping = suggestMapping(fields);
+  applyMapping(rows, mapping);
+  normalizeDates(rows);
+
+  const changes = { dates: { missing: 0, unreadable: 0 }, sex: 0, age: 0, ageDropped: 0, totalSubstitutions: 0 };
+  PRECISIONS.forEach(precision => { changes.dates[precision] = 0; });
+
+  rows.forEach(row => {
+    if (row.datePrecision) {
+      changes.dates[row.datePrecision]++;
+    } else {
+      changes.dates.missing++;
+    }
+    if (row.dateProblem && !row.date) changes.dates.unreadable++;
+
+    if (hasValue(row.sex)) {
+      const sex = normalizeGender(row.sex);
+      if (sex !== row.sex) changes.sex++;
+      if (sex === undefined) {
+        delete row.sex;
+      } else {
+        row.sex = sex;
+      }
+    }
+
+    if (hasValue(row.age)) {
+      const age = parsePatientAge(row.age);
+      if (age === undefined) {
+        changes.ageDropped++;
+        delete row.age;
+      } else {
+        if (age !== row.age) changes.age++;
+        row.age = age;
+      }
+    }
+
+    // Nextclade's own count is of nucleotide substitutions; keep it
+    if (hasValue(row.substitutions)) {
+      const mutations = rowMutations(row);
+      row.substitutions = mutations.join(',');
+      if (format !== 'nextclade' && row.totalSubstitutions !== mutations.length) {
+        row.totalSubstitutions = mutations.length;
+        changes.totalSubstitutions++;
+      }
+    }
+  });
+
+  const fieldKeys = FIELDS.map(field => field.key);
+  const mappedColumns = Object.values(mapping).filter(Boolean);
+  const otherColumns = fields.filter(column =>
+    !fieldKeys.includes(column) && !mappedColumns.includes(column) && !DERIVED_COLUMNS.includes(column));
+
+  const identity = {};
+  fieldKeys.forEach(key => { identity[key] = key; });
+
+  return {
+    rows,
+    fields: [...fieldKeys, ...otherColumns],
+    format,
+    mapping: format === 'table' ? mapping : null,
+    changes,
+    validation: validateSchema(rows, identity),
+    quality: assessDataQuality(rows, today)
+  };
+};
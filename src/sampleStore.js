@@ -0,0 +1,120 @@
+// src/sampleStore.js
+// The loaded samples with what the panels filter and group by worked out
+// once: parsed mutation lists, month bins and indexes from lineage, country,
+// month and mutation to sample ids (positions in rows, ascending). Imports
+// carry their extensions so Node scripts can use it with analytics.js.
+import { periodKey } from './dates.js';
+
+// Lists already split, per row, with the value they were split from so a
+// join or append that rewrites substitutions is noticed
+const parsedMutations = new WeakMap();
+
+const splitMutations = (value) => {
+  if (Array.isArray(value)) return value.map(mutation => String(mutation).trim()).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(mutation => mutation.trim()).filter(Boolean);
+};
+
+// A row's mutations as a list, from a comma-separated string or a list
+// column. Each row is split once; the list is shared, so don't modify it.
+export const rowMutations = (row) => {
+  const cached = parsedMutations.get(row);
+  if (cached && cached.value === row.substitutions) return cached.mutations;
+  const mutations = splitMutations(row.substitutions);
+  parsedMutations.set(row, { value: row.substitutions, mutations });
+  return mutations;
+};
+
+const INDEXES = ['lineage', 'country', 'month', 'assignedMonth', 'mutation'];
+
+// Ids in both sorted lists
+export const intersectIds = (a, b) => {
+  const result = [];
+  let j = 0;
+  for (let i = 0; i < a.length && j < b.length; i++) {
+    while (j < b.length && b[j] < a[i]) j++;
+    if (b[j] === a[i]) result.push(a[i]);
+  }
+  return result;
+};
+
+// Build the store for rows that already went through normalizeDates
+export const createSampleStore = (rows) => {
+  const indexes = {};
+  INDEXES.forEach(name => { indexes[name] = new Map(); });
+  const add = (name, key, id) => {
+    if (key === undefined || key === null || key === '') return;
+    key = String(key);
+    const ids = indexes[name].get(key);
+    if (!ids) {
+      indexes[name].set(key, [id]);
+    } else if (ids[ids.length - 1] !== id) {
+      ids.push(id);
+    }
+  };
+
+  // Per sample: its mutations, and its month with year-only dates left out
+  // ('exclude') or counted in January ('assign')
+  const mutations = new Array(rows.length);
+  const months = { exclude: new Array(rows.length), assign: new Array(rows.length) };
+
+  rows.forEach((row, id) => {
+    mutations[id] = rowMutations(row);
+    months.exclude[id] = periodKey(row, 'month', 'exclude');
+    months.assign[id] = periodKey(row, 'month', 'assign');
+
+    add('lineage', row.pango_lineage, id);
+    add('country', row.country, id);
+    add('month', months.exclude[id], id);
+    add('assignedMonth', months.assign[id], id);
+    mutations[id].forEach(mutation => add('mutation', mutation, id));
+  });
+
+  // Ids of the samples matching every given filter, e.g.
+  // { lineage: 'BA.2', month: '2022-03' }; month is matched with
+  // year-only dates assigned when imprecise is 'assign'
+  const select = ({ lineage, country, month, mutation, imprecise = 'exclude' } = {}) => {
+    const lists = [
+      ['lineage', lineage],
+      ['country', country],
+      [imprecise === 'assign' ? 'assignedMonth' : 'month', month],
+      ['mutation', mutation]
+    ]
+      .filter(([, key]) => key !== undefined)
+      .map(([name, key]) => indexes[name].get(key) || []);
+    if (lists.length === 0) return rows.map((row, id) => id);
+    lists.sort((a, b) => a.length - b.length);
+    return lists.slice(1).reduce(intersectIds, lists[0]);
+  };
+
+  return {
+    rows,
+    mutations,
+    indexes,
+    select,
+    // Month bin of sample `id`, or null
+    monthOf: (id, imprecise = 'exclude') => months[imprecise === 'assign' ? 'assign' : 'exclude'][id],
+    rowsOf: (ids) => ids.map(id => rows[id]),
+    // Earliest and latest date among the samples, '' when none has one
+    dateRange: (ids) => {
+      let min = '';
+      let max = '';
+      ids.forEach(id => {
+        const { date } = rows[id];
+        if (!date) return;
+        if (!min || date < min) min = date;
+        if (!max || date > max) max = date;
+      });
+      return { min, max };
+    }
+  };
+};
+
+// One store per rows array: datasets are replaced rather than changed, so
+// every panel and analysis of the same rows shares it
+const stores = new WeakMap();
+
+export const getSampleStore = (rows) => {
+  if (!stores.has(rows)) stores.set(rows, createSampleStore(rows));
+  return stores.get(rows);
+};
@@ -0,0 +1,223 @@
+// src/schema.js
+import { parseDate } from './dates.js';
+
+// Column layouts the user has mapped before, keyed by header signature
+const STORAGE_KEY = 'covboard.columnMappings';
+// Type checks look at this many non-empty values per column
+const SAMPLE_SIZE = 1000;
+
+// Fields CovBoard reads from each row, with the column names we recognise
+// for them out of the box
+export const FIELDS = [
+  {
+    key: 'pango_lineage',
+    label: 'Pango lineage',
+    type: 'string',
+    aliases: ['pango lineage', 'lineage', 'pangolin_lineage', 'pango', 'Nextclade_pango']
+  },
+  {
+    key: 'country',
+    label: 'Country',
+    type: 'string',
+    aliases: ['country', 'nation', 'country_name']
+  },
+  {
+    key: 'date',
+    label: 'Collection date',
+    type: 'date',
+    aliases: ['collection date', 'collection_date', 'sample_date', 'date_collected']
+  },
+  {
+    key: 'year',
+    label: 'Year',
+    type: 'integer',
+    aliases: ['collection_year', 'yr']
+  },
+  {
+    key: 'month',
+    label: 'Month',
+    type: 'month',
+    aliases: ['collection_month', 'mon']
+  },
+  {
+    key: 'sex',
+    label: 'Sex',
+    type: 'string',
+    aliases: ['gender', 'patient gender', 'patient_sex', 'host_sex']
+  },
+  {
+    key: 'age',
+    label: 'Age',
+    type: 'number',
+    aliases: ['patient age', 'patient_age', 'host_age', 'age_years']
+  },
+  {
+    key: 'substitutions',
+    label: 'Amino acid substitutions',
+    type: 'mutations',
+    aliases: ['aaSubstitutions', 'aa substitutions', 'aa_substitutions', 'mutations']
+  },
+  {
+    key: 'totalSubstitutions',
+    label: 'Total substitutions',
+    type: 'number',
+    aliases: ['total_substitutions', 'total substitutions', 'mutation_count', 'n_substitutions']
+  }
+];
+
+// GENE:REFposALT, also covering deletions (S:H69del) and insertions (S:ins214EPE)
+export const MUTATION_PATTERN = /^[A-Za-z0-9_]+:[A-Za-z*-]*\d+[A-Za-z*-]*$/;
+
+const isNumeric = (value) => {
+  if (typeof value === 'number') return !isNaN(value);
+  return String(value).trim() !== '' && !isNaN(Number(value));
+};
+
+const VALIDATORS = {
+  string: () => true,
+  number: isNumeric,
+  integer: (value) => isNumeric(value) && Number.isInteger(Number(value)),
+  month: (value) => isNumeric(value) && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 12,
+  date: (value) => parseDate(value) !== null,
+  mutations: (value) => {
+    // List columns from Parquet or Arrow files
+    if (Array.isArray(value)) return value.every(mutation => MUTATION_PATTERN.test(String(mutation).trim()));
+    if (typeof value !== 'string') return false;
+    return value.split(',').every(mutation => !mutation.trim() || MUTATION_PATTERN.test(mutation.trim()));
+  }
+};
+
+export const TYPE_LABELS = {
+  string: 'text',
+  number: 'number',
+  integer: 'whole number',
+  month: 'month number (1-12)',
+  date: 'date',
+  mutations: 'list like S:D614G,N:R203K'
+};
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const headerSignature = (fields) => [...fields].sort().join('\u0001');
+
+const loadSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const getSavedMapping = (fields) => loadSavedMappings()[headerSignature(fields)] || null;
+
+export const saveMapping = (fields, mapping) => {
+  const saved = loadSavedMappings();
+  saved[headerSignature(fields)] = mapping;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.error('Could not save column mapping:', e);
+  }
+};
+
+// Guess a column for every field: exact name first, then a column the field
+// was mapped from in an earlier session, then the known aliases
+export const suggestMapping = (fields) => {
+  const saved = Object.values(loadSavedMappings());
+  const mapping = {};
+
+  FIELDS.forEach(field => {
+    if (fields.includes(field.key)) {
+      mapping[field.key] = field.key;
+      return;
+    }
+
+    const previous = saved
+      .map(savedMapping => savedMapping[field.key])
+      .find(column => column && fields.includes(column));
+    if (previous) {
+      mapping[field.key] = previous;
+      return;
+    }
+
+    const candidates = [field.key, ...field.aliases].map(normalizeName);
+    mapping[field.key] = fields.find(column => candidates.includes(normalizeName(column)))
+      // Nested JSON fields arrive as dot paths, e.g. location.country
+      || fields.find(column => column.includes('.') && candidates.includes(normalizeName(column.split('.').pop())))
+      || '';
+  });
+
+  return mapping;
+};
+
+// Check each mapped column against the type CovBoard expects. Unmapped fields
+// are reported as missing, mapped columns without any values as empty.
+export const validateSchema = (rows, mapping) => {
+  const missing = [];
+  const empty = [];
+  const mistyped = [];
+
+  FIELDS.forEach(field => {
+    const column = mapping[field.key];
+    if (!column) {
+      missing.push(field.key);
+      return;
+    }
+
+    const validate = VALIDATORS[field.type];
+    let checked = 0;
+    let invalid = 0;
+    const examples = [];
+
+    for (let i = 0; i < rows.length && checked < SAMPLE_SIZE; i++) {
+      const value = rows[i][column];
+      if (value === null || value === undefined || value === '') continue;
+      checked++;
+      if (!validate(value)) {
+        invalid++;
+        if (examples.length < 3) examples.push(String(value));
+      }
+    }
+
+    if (checked === 0) {
+      empty.push(field.key);
+    } else if (invalid > 0) {
+      mistyped.push({ key: field.key, column, checked, invalid, examples });
+    }
+  });
+
+  return {
+    missing,
+    empty,
+    mistyped,
+    ok: missing.length === 0 && empty.length === 0 && mistyped.length === 0
+  };
+};
+
+// Copy mapped columns onto CovBoard's field names, in place. Values are read
+// before any are written so two columns can swap names.
+export const applyMapping = (rows, mapping) => {
+  const renames = FIELDS
+    .map(field => [field.key, mapping[field.key]])
+    .filter(([key, column]) => column !== key);
+
+  if (renames.length === 0) return rows;
+
+  rows.forEach(row => {
+    const values = renames.map(([, column]) => (column ? row[column] : undefined));
+    renames.forEach(([key], i) => {
+      if (values[i] === undefined) {
+        delete row[key];
+      } else {
+        row[key] = values[i];
+      }
+    });
+  });
+
+  return rows;
+};
+
+export const getFieldLabel = (key) => {
+  const field = FIELDS.find(f => f.key === key);
+  return field ? field.label : key;
+};
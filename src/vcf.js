@@ -0,0 +1,176 @@
+// src/vcf.js
+import { DELETED } from './alignment.js';
+import { callMutations } from './mutationCalling.js';
+import { REFERENCE_SEQUENCE, GENE_MAP } from './sarsCov2Reference.js';
+import { decompressIfGzip } from './compression.js';
+
+// Columns produced for each VCF sample
+export const VCF_FIELDS = [
+  'strain', 'substitutions', 'totalSubstitutions', 'aaDeletions',
+  'nucSubstitutions', 'nucDeletions'
+];
+
+// Variants seen in fewer reads than this (INFO AF) are minor variants, not
+// part of the consensus
+const CONSENSUS_FREQUENCY = 0.5;
+
+// bgzip-compressed VCFs (.vcf.gz) are gzip streams and are decompressed first
+export const isVcfFile = (file) => /\.vcf(\.gz)?$/i.test(file.name);
+
+const isPassing = (filter) => filter === 'PASS' || filter === '.' || filter === '';
+
+// Index of the ALT allele a sample carries, or -1. Haploid (1) and diploid
+// (0/1, 1/1) genotypes are both accepted; missing calls (./.) count as reference.
+const carriedAllele = (genotype) => {
+  const allele = genotype.split(/[/|]/).map(Number).find(index => index > 0);
+  return allele === undefined ? -1 : allele - 1;
+};
+
+const readAlleleFrequency = (info) => {
+  const match = /(?:^|;)AF=([^;,]+)/.exec(info);
+  return match ? Number(match[1]) : null;
+};
+
+// Parse VCF text into a Map of sample name -> [{ position, ref, alt }].
+// Files without sample columns (LoFreq, iVar) describe one sample, named
+// after the file. Filtered records and REF alleles that disagree with
+// NC_045512.2 are skipped.
+export const parseVcf = (text, fallbackName) => {
+  const samples = new Map();
+  let sampleNames = null;
+  let records = 0;
+  let mismatched = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith('##')) return;
+    const columns = line.split('\t');
+
+    if (line.startsWith('#')) {
+      sampleNames = columns.length > 9 ? columns.slice(9) : [fallbackName];
+      sampleNames.forEach(name => {
+        if (!samples.has(name)) samples.set(name, []);
+      });
+      return;
+    }
+    if (!sampleNames) {
+      throw new Error('missing #CHROM header line');
+    }
+
+    const [, pos, , ref, alt, , filter, info = '', format] = columns;
+    if (!isPassing(filter)) return;
+    records++;
+
+    const position = Number(pos);
+    const refAllele = ref.toUpperCase();
+    if (REFERENCE_SEQUENCE.substr(position - 1, refAllele.length) !== refAllele) {
+      mismatched++;
+      return;
+    }
+
+    // Symbolic (<DEL>) and spanning (*) alleles can't be placed on the sequence
+    const alts = alt.split(',').map(allele => allele.toUpperCase());
+    const usable = (allele) => allele && allele !== '.' && allele !== '*' && !allele.startsWith('<');
+
+    if (columns.length <= 9 || !format) {
+      const frequency = readAlleleFrequency(info);
+      if (usable(alts[0]) && (frequency === null || frequency >= CONSENSUS_FREQUENCY)) {
+        samples.get(sampleNames[0]).push({ position, ref: refAllele, alt: alts[0] });
+      }
+      return;
+    }
+
+    const genotypeIndex = format.split(':').indexOf('GT');
+    sampleNames.forEach((name, i) => {
+      const value = columns[9 + i] || '';
+      // Without GT every listed sample is taken to carry the first ALT
+      const allele = genotypeIndex === -1 ? 0 : carriedAllele(value.split(':')[genotypeIndex] || '.');
+      if (allele !== -1 && usable(alts[allele])) {
+        samples.get(name).push({ position, ref: refAllele, alt: alts[allele] });
+      }
+    });
+  });
+
+  if (!sampleNames) {
+    throw new Error('missing #CHROM header line');
+  }
+  if (records > 0 && mismatched === records) {
+    throw new Error('REF alleles do not match NC_045512.2 (MN908947.3) coordinates');
+  }
+  return samples;
+};
+
+// Apply a sample's variants to the reference, giving the sequence and
+// reference-to-query map callMutations expects. Overlapping variants after
+// the first are ignored.
+const applyVariants = (variants) => {
+  const reference = REFERENCE_SEQUENCE;
+  const refToQuery = new Int32Array(reference.length);
+  const query = [];
+  let next = 0;
+
+  const copyReference = (end) => {
+    for (; next < end; next++) {
+      refToQuery[next] = query.length;
+      query.push(reference[next]);
+    }
+  };
+
+  [...variants]
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ position, ref, alt }) => {
+      const start = position - 1;
+      if (start < next) return;
+      copyReference(start);
+
+      // Deletions and insertions share their leading (anchor) bases with REF
+      const shared = Math.min(ref.length, alt.length);
+      for (let k = 0; k < shared; k++) {
+        refToQuery[start + k] = query.length;
+        query.push(alt[k]);
+      }
+      for (let k = shared; k < ref.length; k++) {
+        refToQuery[start + k] = DELETED;
+      }
+      for (let k = shared; k < alt.length; k++) {
+        query.push(alt[k]);
+      }
+      next = start + ref.length;
+    });
+  copyReference(reference.length);
+
+  return { query: query.join(''), refToQuery };
+};
+
+const buildRow = (strain, variants) => {
+  const { query, refToQuery } = applyVariants(variants);
+  const calls = callMutations(query, REFERENCE_SEQUENCE, { refToQuery }, GENE_MAP);
+  return {
+    strain,
+    substitutions: [...calls.aaSubstitutions, ...calls.aaDeletions].join(','),
+    totalSubstitutions: calls.nucSubstitutions.length,
+    aaDeletions: calls.aaDeletions.join(','),
+    nucSubstitutions: calls.nucSubstitutions.join(','),
+    nucDeletions: calls.nucDeletions.join(',')
+  };
+};
+
+// Read one or more VCF files into one row per sample. A sample that appears
+// in several files (e.g. separate SNV and indel calls) gets their variants combined.
+export const readVcfFiles = async (files) => {
+  const samples = new Map();
+
+  for (const file of files) {
+    let fileSamples;
+    try {
+      const text = await (await decompressIfGzip(file)).text();
+      fileSamples = parseVcf(text, file.name.replace(/\.vcf(\.gz)?$/i, ''));
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+    fileSamples.forEach((variants, name) => {
+      samples.set(name, [...(samples.get(name) || []), ...variants]);
+    });
+  }
+
+  return Array.from(samples, ([name, variants]) => buildRow(name, variants));
+};